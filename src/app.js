@@ -5,16 +5,25 @@
 const express = require('express');
 const path = require('path');
 
-const { healthRoutes, webhookRoutes } = require('./routes');
+const { healthRoutes, webhookRoutes, callRoutes, metricsRoutes } = require('./routes');
+const { verifyWebhookSignature, preventWebhookReplay } = require('./middleware');
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Webhook authentication (signature first, so forged deliveries aren't remembered as seen)
+app.use("/aisensy-webhook", verifyWebhookSignature(), preventWebhookReplay());
+
 // Routes
 app.use(healthRoutes);
+app.use(metricsRoutes);
 app.use(webhookRoutes);
+app.use(callRoutes);
 
 module.exports = app;
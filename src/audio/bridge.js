@@ -2,41 +2,102 @@
  * Audio Bridge Module
  * 
  * Sets up bidirectional audio flow between WhatsApp and ElevenLabs
- * - WhatsApp → ElevenLabs: Downsample 48kHz to 16kHz
- * - ElevenLabs → WhatsApp: Direct 48kHz passthrough
+ * - WhatsApp → ElevenLabs: Downmix + anti-aliased resample to the agent's
+ *   announced input format (e.g. pcm_16000 or ulaw_8000)
+ *   Optionally run through the voice processor (VAD, noise gate, AGC) first,
+ *   with non-speech frames sent gated or dropped per call
+ * - ElevenLabs → WhatsApp: decoded and resampled in elevenlabs.handler
  */
 
 const WebSocket = require('ws');
-const { nonstandard: { RTCAudioSink } } = require('@roamhq/wrtc');
 
-const { WHATSAPP_SAMPLE_RATE, ELEVENLABS_INPUT_SAMPLE_RATE, CHUNK_SIZE } = require('../config');
-const session = require('../state/session');
+const { WHATSAPP_SAMPLE_RATE, CHUNK_SIZE } = require('../config');
+const { audioFramesTotal, callerVadFramesTotal } = require('../utils/metrics');
+const { requireWebRTC } = require('../utils/wrtc');
+const { encodeAudio } = require('./formats');
+const { Resampler } = require('./resampler');
+const { VoiceProcessor, getVoiceProcessingSettings } = require('./voice-processor');
+
+// Caller frames held while waiting for the agent's input format (~1s of 10ms frames)
+const MAX_PENDING_CALLER_FRAMES = 100;
 
 /**
  * Setup bidirectional audio bridge between WhatsApp and ElevenLabs
  * 
- * - WhatsApp → ElevenLabs: Downsample 48kHz to 16kHz (ElevenLabs input requirement)
- * - ElevenLabs → WhatsApp: Direct 48kHz passthrough (no conversion needed!)
+ * - WhatsApp → ElevenLabs: Resample and encode to callSession.userInputFormat.
+ *   Caller audio that arrives after the socket opens but before the format is
+ *   announced is buffered and sent once it is known.
  */
-function setupAudioBridge() {
-    console.log("🌉 Setting up audio bridge with RTCAudioSink...");
+function setupAudioBridge(callSession) {
+    const log = callSession.logger;
+    log.debug("Setting up audio bridge with RTCAudioSink");
 
     try {
         // Get audio tracks from WhatsApp
-        const whatsappStream = session.getWhatsappStream();
-        const audioTracks = whatsappStream.getAudioTracks();
-        console.log(`📊 WhatsApp has ${audioTracks.length} audio track(s)`);
+        const audioTracks = callSession.whatsappStream.getAudioTracks();
+        log.debug("WhatsApp audio tracks", { count: audioTracks.length });
 
         if (audioTracks.length > 0) {
             const audioTrack = audioTracks[0];
-            console.log(`✅ Audio track found: ${audioTrack.kind}, enabled: ${audioTrack.enabled}`);
+            log.debug("Audio track found", { kind: audioTrack.kind, enabled: audioTrack.enabled });
 
             // Create RTCAudioSink to extract audio from the track
+            const { nonstandard: { RTCAudioSink } } = requireWebRTC();
             const audioSink = new RTCAudioSink(audioTrack);
-            session.setAudioSink(audioSink);
+            callSession.audioSink = audioSink;
 
             let sampleCount = 0;
-            let audioBuffer = Buffer.alloc(0);
+            let audioBuffer = new Int16Array(0);   // Resampled PCM waiting to reach CHUNK_SIZE bytes
+            let resampler = null;     // Rebuilt if the sink's rate/channels or the agent's input format change
+            let pendingFrames = [];   // Caller frames received before the input format was announced
+            let voiceProcessor = null;   // Rebuilt with the resampler when the input rate changes
+            const voiceSettings = getVoiceProcessingSettings(callSession.voiceProcessing || {});
+
+            const flushAudioBuffer = (format) => {
+                sendAudioToElevenLabs(callSession, encodeAudio(audioBuffer, format));
+                audioBuffer = new Int16Array(0);
+            };
+
+            // Resample one caller frame into the input format and send once a chunk has accumulated
+            const processFrame = ({ samples, sampleRate, channels }, format) => {
+                if (!resampler || resampler.inputRate !== sampleRate || resampler.channels !== channels || resampler.outputRate !== format.sampleRate) {
+                    if (resampler?.outputRate !== format.sampleRate) {
+                        audioBuffer = new Int16Array(0);   // Buffered audio was for the old format
+                    }
+                    resampler = new Resampler({ inputRate: sampleRate, outputRate: format.sampleRate, channels });
+                    log.debug("Caller audio resampler created", { sampleRate, channels, outputFormat: format.name });
+                }
+                if (voiceSettings.enabled && voiceProcessor?.sampleRate !== format.sampleRate) {
+                    voiceProcessor = new VoiceProcessor({ sampleRate: format.sampleRate, settings: voiceSettings });
+                }
+
+                let resampledSamples = resampler.process(samples);
+
+                if (voiceProcessor) {
+                    const { samples: processed, speech } = voiceProcessor.process(resampledSamples);
+                    callerVadFramesTotal.inc({ result: speech ? "speech" : "silence" });
+
+                    if (!speech && voiceSettings.silenceMode === "drop") {
+                        // Send the end of the utterance now rather than with the next one
+                        if (audioBuffer.length > 0) {
+                            flushAudioBuffer(format);
+                        }
+                        return;
+                    }
+                    resampledSamples = processed;
+                }
+
+                // Accumulate audio chunks
+                const combined = new Int16Array(audioBuffer.length + resampledSamples.length);
+                combined.set(audioBuffer);
+                combined.set(resampledSamples, audioBuffer.length);
+                audioBuffer = combined;
+
+                // Send when we have enough audio (avoid sending too frequently)
+                if (audioBuffer.length * 2 >= CHUNK_SIZE) {
+                    flushAudioBuffer(format);
+                }
+            };
 
             audioSink.ondata = (data) => {
                 // data contains:
@@ -46,8 +107,12 @@ function setupAudioBridge() {
                 // - channelCount: number (1 for mono, 2 for stereo)
                 // - numberOfFrames: number
 
-                const elevenLabsWs = session.getElevenLabsWs();
+                audioFramesTotal.inc({ leg: "whatsapp", direction: "in" });
+                callSession.recorder?.writeCaller(data.samples, data.sampleRate || WHATSAPP_SAMPLE_RATE, data.channelCount || 1);
+
+                const elevenLabsWs = callSession.elevenLabsWs;
                 if (!elevenLabsWs || elevenLabsWs.readyState !== WebSocket.OPEN) {
+                    pendingFrames = [];
                     return;
                 }
 
@@ -55,62 +120,61 @@ function setupAudioBridge() {
 
                 // Log every 100 chunks to avoid spam
                 if (sampleCount % 100 === 1) {
-                    console.log(`🎤 Audio chunk #${sampleCount}: ${data.samples.length} samples @ ${data.sampleRate}Hz, ${data.channelCount}ch`);
+                    log.debug("Caller audio chunk", {
+                        chunk: sampleCount,
+                        samples: data.samples.length,
+                        sampleRate: data.sampleRate,
+                        channels: data.channelCount
+                    });
                 }
 
                 try {
-                    // Get PCM samples
-                    const samples = data.samples;
-                    const sampleRate = data.sampleRate || 48000;
-                    const channels = data.channelCount || 1;
-
-                    // Downsample from 48kHz to 16kHz for ElevenLabs input
-                    let resampledSamples;
-                    if (sampleRate === 48000 && ELEVENLABS_INPUT_SAMPLE_RATE === 16000) {
-                        // Simple downsampling: take every 3rd sample (48000/16000 = 3)
-                        const ratio = sampleRate / ELEVENLABS_INPUT_SAMPLE_RATE;
-                        const newLength = Math.floor(samples.length / ratio / channels);
-                        resampledSamples = new Int16Array(newLength);
-
-                        for (let i = 0; i < newLength; i++) {
-                            // If stereo, take left channel; otherwise just downsample
-                            const srcIndex = Math.floor(i * ratio) * channels;
-                            resampledSamples[i] = samples[srcIndex];
+                    const frame = {
+                        samples: data.samples,
+                        sampleRate: data.sampleRate || WHATSAPP_SAMPLE_RATE,
+                        channels: data.channelCount || 1
+                    };
+
+                    const format = callSession.userInputFormat;
+                    if (!format) {
+                        // Copy - the sink may reuse its sample buffer
+                        pendingFrames.push({ ...frame, samples: Int16Array.from(frame.samples) });
+                        if (pendingFrames.length > MAX_PENDING_CALLER_FRAMES) {
+                            pendingFrames.shift();
                         }
-                    } else {
-                        // No resampling needed or different sample rate
-                        resampledSamples = samples;
+                        return;
                     }
 
-                    // Convert Int16Array to Buffer
-                    const buffer = Buffer.from(resampledSamples.buffer);
-
-                    // Accumulate audio chunks
-                    audioBuffer = Buffer.concat([audioBuffer, buffer]);
-
-                    // Send when we have enough audio (avoid sending too frequently)
-                    if (audioBuffer.length >= CHUNK_SIZE) {
-                        sendAudioToElevenLabs(audioBuffer);
-                        audioBuffer = Buffer.alloc(0);
+                    if (pendingFrames.length > 0) {
+                        log.debug("Sending caller audio buffered before metadata", { frames: pendingFrames.length });
+                        for (const pending of pendingFrames) {
+                            processFrame(pending, format);
+                        }
+                        pendingFrames = [];
                     }
 
+                    processFrame(frame, format);
+
                 } catch (err) {
-                    console.error("❌ Error processing audio chunk:", err.message);
+                    log.error("Error processing audio chunk", { err });
                 }
             };
 
-            console.log("✅ RTCAudioSink created and listening for audio");
-            console.log(`🔄 Will downsample from ${WHATSAPP_SAMPLE_RATE}Hz to ${ELEVENLABS_INPUT_SAMPLE_RATE}Hz for ElevenLabs input`);
-
             // Note: Audio source is already created in setupWhatsAppWebRTC before createAnswer
-            console.log("✅ Audio bridge ready (audioSource already configured)");
+            log.info("Audio bridge ready", {
+                fromSampleRate: WHATSAPP_SAMPLE_RATE,
+                inputFormat: callSession.userInputFormat?.name || "pending",
+                voiceProcessing: voiceSettings.enabled
+                    ? { silenceMode: voiceSettings.silenceMode, agc: voiceSettings.agc }
+                    : false
+            });
 
         } else {
-            console.warn("⚠️ No audio tracks found from WhatsApp");
+            log.warn("No audio tracks found from WhatsApp");
         }
 
     } catch (error) {
-        console.error("❌ Error in setupAudioBridge:", error);
+        log.error("Error in setupAudioBridge", { err: error });
     }
 }
 
@@ -119,19 +183,20 @@ function setupAudioBridge() {
  * 
  * ElevenLabs Conversational AI accepts audio as base64 in JSON
  */
-function sendAudioToElevenLabs(audioData) {
-    const elevenLabsWs = session.getElevenLabsWs();
+function sendAudioToElevenLabs(callSession, audioData) {
+    const elevenLabsWs = callSession.elevenLabsWs;
 
     if (!elevenLabsWs || elevenLabsWs.readyState !== WebSocket.OPEN) {
         return;
     }
 
-    session.incrementAudioSendCount();
-    const audioSendCount = session.getAudioSendCount();
+    callSession.audioSendCount++;
+    const audioSendCount = callSession.audioSendCount;
+    audioFramesTotal.inc({ leg: "elevenlabs", direction: "out" });
 
     // Log first few sends
     if (audioSendCount <= 3) {
-        console.log(`📤 Sending audio to ElevenLabs: ${audioData.length} bytes`);
+        callSession.logger.debug("Sending audio to ElevenLabs", { bytes: audioData.length });
     }
 
     // ElevenLabs Conversational AI expects audio in this format
@@ -142,7 +207,7 @@ function sendAudioToElevenLabs(audioData) {
     try {
         elevenLabsWs.send(JSON.stringify(audioMessage));
     } catch (err) {
-        console.error("❌ Error sending audio:", err.message);
+        callSession.logger.error("Error sending audio", { err });
     }
 }
 
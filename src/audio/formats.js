@@ -0,0 +1,115 @@
+/**
+ * ElevenLabs Audio Formats
+ *
+ * ElevenLabs announces the agent's formats in `conversation_initiation_metadata`
+ * (`agent_output_audio_format`, `user_input_audio_format`) as strings such as
+ * "pcm_16000", "pcm_48000" or "ulaw_8000". These helpers parse them and
+ * convert between their wire encoding and 16-bit PCM samples.
+ */
+
+const SUPPORTED_FORMATS = [
+    "pcm_8000",
+    "pcm_16000",
+    "pcm_22050",
+    "pcm_24000",
+    "pcm_44100",
+    "pcm_48000",
+    "ulaw_8000"
+];
+
+/**
+ * Parse a format name into { name, encoding, sampleRate }
+ *
+ * Returns null for missing or unsupported formats.
+ */
+function parseAudioFormat(name) {
+    if (typeof name !== "string" || !SUPPORTED_FORMATS.includes(name.toLowerCase())) {
+        return null;
+    }
+
+    const [encoding, rate] = name.toLowerCase().split("_");
+    return { name: name.toLowerCase(), encoding, sampleRate: parseInt(rate, 10) };
+}
+
+// G.711 μ-law decode table (byte → 16-bit sample)
+const ULAW_DECODE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+    const byte = ~i & 0xff;
+    const sign = byte & 0x80;
+    const exponent = (byte >> 4) & 0x07;
+    const mantissa = byte & 0x0f;
+    const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+    ULAW_DECODE[i] = sign ? -magnitude : magnitude;
+}
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+/**
+ * G.711 μ-law encode a single 16-bit sample
+ */
+function encodeUlawSample(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode wire audio into 16-bit PCM samples
+ *
+ * PCM is little-endian 16-bit; a trailing odd byte is dropped.
+ */
+function decodeAudio(data, format) {
+    if (format.encoding === "ulaw") {
+        const samples = new Int16Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            samples[i] = ULAW_DECODE[data[i]];
+        }
+        return samples;
+    }
+
+    const sampleCount = Math.floor(data.length / 2);
+    const samples = new Int16Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        samples[i] = data.readInt16LE(i * 2);
+    }
+    return samples;
+}
+
+/**
+ * Encode 16-bit PCM samples into the wire format
+ */
+function encodeAudio(samples, format) {
+    if (format.encoding === "ulaw") {
+        const data = Buffer.alloc(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            data[i] = encodeUlawSample(samples[i]);
+        }
+        return data;
+    }
+
+    return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+}
+
+/**
+ * Playback duration of encoded audio, in milliseconds
+ */
+function getAudioDurationMs(byteLength, format) {
+    const bytesPerSample = format.encoding === "ulaw" ? 1 : 2;
+    return (byteLength / bytesPerSample / format.sampleRate) * 1000;
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    parseAudioFormat,
+    getAudioDurationMs,
+    decodeAudio,
+    encodeAudio
+};
@@ -1,87 +1,314 @@
 /**
  * Audio Playback Module
- * 
- * Handles buffering and paced playback of audio from ElevenLabs to WhatsApp
+ *
+ * Playout engine for audio from ElevenLabs to WhatsApp. Agent audio is queued
+ * in a per-call ring buffer and sent in 10ms frames on a clock derived from
+ * performance.now(), so timer drift doesn't slow playback down: frames missed
+ * because of a late timer are sent on the next tick.
+ *
+ * - Playout starts once PLAYBACK_PREBUFFER_MS is queued (or has waited that long)
+ * - When the buffer runs dry, frames are filled with silence or comfort noise
+ *   instead of stopping the clock, so the outgoing stream stays continuous
+ * - Beyond PLAYBACK_MAX_BUFFER_MS the oldest audio is dropped (overrun)
+ *
+ * Buffer and timer live on the CallSession so each call plays back independently.
  */
 
-const { WHATSAPP_SAMPLE_RATE, FRAME_SIZE } = require('../config');
-const session = require('../state/session');
+const {
+    WHATSAPP_SAMPLE_RATE,
+    FRAME_SIZE,
+    HOLD_TONE_ENABLED,
+    PLAYBACK_PREBUFFER_MS,
+    PLAYBACK_MAX_BUFFER_MS,
+    PLAYBACK_UNDERRUN_FILL
+} = require('../config');
+const { audioFramesTotal, playbackUnderrunsTotal, playbackOverrunsTotal } = require('../utils/metrics');
+const { RingBuffer } = require('./ring-buffer');
 
-// Buffer for ElevenLabs audio (to send in correct frame sizes)
-let elevenLabsAudioBuffer = new Int16Array(0);
-let audioPlaybackTimer = null; // Timer for paced audio playback
-let elevenLabsAudioCount = 0;
+const FRAME_MS = 10;
+
+// A late timer sends at most this many frames at once; beyond that the clock skips ahead
+const MAX_CATCH_UP_FRAMES = 10;
+
+// Agent audio resuming within this long of the buffer running dry counts as an
+// underrun (starved mid-response); longer gaps are just the end of a response
+const UNDERRUN_GAP_MS = 500;
+
+// Comfort noise peak amplitude (~-60 dBFS)
+const COMFORT_NOISE_AMPLITUDE = 32;
 
 /**
  * Get audio count (for logging)
  */
-const getElevenLabsAudioCount = () => elevenLabsAudioCount;
-const incrementElevenLabsAudioCount = () => { elevenLabsAudioCount++; };
-const resetElevenLabsAudioCount = () => { elevenLabsAudioCount = 0; };
+const getElevenLabsAudioCount = (callSession) => callSession.elevenLabsAudioCount;
+const incrementElevenLabsAudioCount = (callSession) => { callSession.elevenLabsAudioCount++; };
+const resetElevenLabsAudioCount = (callSession) => { callSession.elevenLabsAudioCount = 0; };
+
+/**
+ * Call `onFrame` once per 10ms frame, paced by the monotonic clock
+ *
+ * Each tick sends every frame that has come due since the clock started, so
+ * setInterval drift and late ticks are caught up instead of accumulating.
+ * Returns the interval handle.
+ */
+function startFrameClock(onFrame) {
+    const startedAt = performance.now();
+    let framesSent = 0;
+
+    return setInterval(() => {
+        let due = Math.floor((performance.now() - startedAt) / FRAME_MS) + 1 - framesSent;
+
+        // Event loop was blocked - don't burst more than MAX_CATCH_UP_FRAMES
+        if (due > MAX_CATCH_UP_FRAMES) {
+            framesSent += due - MAX_CATCH_UP_FRAMES;
+            due = MAX_CATCH_UP_FRAMES;
+        }
+
+        for (let i = 0; i < due; i++) {
+            onFrame();
+            framesSent++;
+        }
+    }, FRAME_MS);
+}
+
+/**
+ * Send a frame to the caller (and to the call recording, if any)
+ */
+function sendFrame(callSession, samples) {
+    callSession.audioSource.onData({
+        samples,
+        sampleRate: WHATSAPP_SAMPLE_RATE,
+        bitsPerSample: 16,
+        channelCount: 1,
+        numberOfFrames: FRAME_SIZE
+    });
+    callSession.recorder?.writeAgent(samples, WHATSAPP_SAMPLE_RATE);
+}
+
+/**
+ * This call's playout state, created on first use
+ */
+function getPlayout(callSession) {
+    if (!callSession.playout) {
+        callSession.playout = {
+            buffer: new RingBuffer(Math.round(WHATSAPP_SAMPLE_RATE * PLAYBACK_MAX_BUFFER_MS / 1000)),
+            playing: false,         // false while pre-buffering or after running dry
+            waitingSince: null,     // When queued audio started waiting for the prebuffer
+            starvedAt: null         // When the buffer last ran dry mid-playout
+        };
+    }
+    return callSession.playout;
+}
+
+/**
+ * Fill the rest of a frame (from `offset`) with silence or comfort noise
+ */
+function fillFrame(frame, offset) {
+    if (PLAYBACK_UNDERRUN_FILL === "comfort_noise") {
+        for (let i = offset; i < frame.length; i++) {
+            frame[i] = Math.round((Math.random() * 2 - 1) * COMFORT_NOISE_AMPLITUDE);
+        }
+    }
+    // Int16Array is already zeroed for silence
+}
 
 /**
- * Start paced audio playback - sends frames at 10ms intervals for real-time speed
+ * Produce and send one frame of playout
  */
-function startAudioPlayback() {
-    // Already running
-    if (audioPlaybackTimer) {
+function playFrame(callSession) {
+    if (!callSession.audioSource) {
         return;
     }
 
-    const audioSource = session.getAudioSource();
+    const playout = getPlayout(callSession);
+    const { buffer } = playout;
+    const now = performance.now();
+
+    if (!playout.playing && buffer.length > 0) {
+        const prebuffered = buffer.length >= WHATSAPP_SAMPLE_RATE * PLAYBACK_PREBUFFER_MS / 1000;
+        if (prebuffered || now - (playout.waitingSince ?? now) >= PLAYBACK_PREBUFFER_MS) {
+            playout.playing = true;
+            playout.waitingSince = null;
+        }
+    }
+
+    const frame = new Int16Array(FRAME_SIZE);
+    const filled = playout.playing ? buffer.read(frame, FRAME_SIZE) : 0;
+
+    if (playout.playing && filled < FRAME_SIZE) {
+        playout.playing = false;
+        playout.starvedAt = now;
+    }
+    if (filled < FRAME_SIZE) {
+        fillFrame(frame, filled);
+    }
+
+    sendFrame(callSession, frame);
+    if (filled > 0) {
+        audioFramesTotal.inc({ leg: "whatsapp", direction: "out" });
+    }
+}
 
-    // Send frames at 10ms intervals (real-time playback)
-    audioPlaybackTimer = setInterval(() => {
-        if (!audioSource) {
+/**
+ * Start the playout clock for a call (no-op if already running)
+ *
+ * Runs until resetPlayback, sending fill frames while there's nothing to play.
+ */
+function startAudioPlayback(callSession) {
+    if (callSession.audioPlaybackTimer || callSession.holdToneTimer) {
+        return;
+    }
+
+    callSession.audioPlaybackTimer = startFrameClock(() => playFrame(callSession));
+}
+
+// Hold tone: a soft 440Hz beep (200ms) every 2 seconds, built once on first use
+const HOLD_TONE_FREQUENCY = 440;
+const HOLD_TONE_AMPLITUDE = 3000;   // ~-21 dBFS, audible but not harsh
+const HOLD_TONE_BEEP_MS = 200;
+const HOLD_TONE_CYCLE_MS = 2000;
+let holdToneCycle = null;
+
+function getHoldToneCycle() {
+    if (!holdToneCycle) {
+        const cycleSamples = Math.round(WHATSAPP_SAMPLE_RATE * HOLD_TONE_CYCLE_MS / 1000);
+        const beepSamples = Math.round(WHATSAPP_SAMPLE_RATE * HOLD_TONE_BEEP_MS / 1000);
+        const fadeSamples = Math.round(WHATSAPP_SAMPLE_RATE * 0.01);   // 10ms fade in/out avoids clicks
+
+        holdToneCycle = new Int16Array(cycleSamples);
+        for (let i = 0; i < beepSamples; i++) {
+            const fade = Math.min(1, i / fadeSamples, (beepSamples - i) / fadeSamples);
+            holdToneCycle[i] = Math.round(Math.sin(2 * Math.PI * HOLD_TONE_FREQUENCY * i / WHATSAPP_SAMPLE_RATE) * HOLD_TONE_AMPLITUDE * fade);
+        }
+    }
+    return holdToneCycle;
+}
+
+/**
+ * Play the hold tone to the caller (e.g. while ElevenLabs reconnects)
+ *
+ * Any queued agent audio is dropped. With HOLD_TONE_ENABLED=false silence is
+ * sent instead, which still keeps the outgoing RTP stream alive.
+ */
+function startHoldTone(callSession) {
+    if (callSession.holdToneTimer || !callSession.audioSource) {
+        return;
+    }
+
+    resetPlayback(callSession);
+    const cycle = HOLD_TONE_ENABLED ? getHoldToneCycle() : new Int16Array(FRAME_SIZE);
+    let position = 0;
+
+    callSession.holdToneTimer = startFrameClock(() => {
+        if (!callSession.audioSource) {
             return;
         }
 
-        // Send one frame per tick
-        if (elevenLabsAudioBuffer.length >= FRAME_SIZE) {
-            const frame = elevenLabsAudioBuffer.slice(0, FRAME_SIZE);
-            elevenLabsAudioBuffer = elevenLabsAudioBuffer.slice(FRAME_SIZE);
-
-            audioSource.onData({
-                samples: frame,
-                sampleRate: WHATSAPP_SAMPLE_RATE,
-                bitsPerSample: 16,
-                channelCount: 1,
-                numberOfFrames: FRAME_SIZE
-            });
-        } else if (elevenLabsAudioBuffer.length === 0) {
-            // Buffer empty, stop timer until more audio arrives
-            clearInterval(audioPlaybackTimer);
-            audioPlaybackTimer = null;
+        const frame = new Int16Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            frame[i] = cycle[(position + i) % cycle.length];
         }
-    }, 10); // 10ms = real-time for 480 samples at 48kHz
+        position = (position + FRAME_SIZE) % cycle.length;
+
+        sendFrame(callSession, frame);
+    });
 }
 
 /**
- * Add samples to playback buffer
+ * Stop the hold tone
  */
-function addToPlaybackBuffer(samples) {
-    const newBuffer = new Int16Array(elevenLabsAudioBuffer.length + samples.length);
-    newBuffer.set(elevenLabsAudioBuffer);
-    newBuffer.set(samples, elevenLabsAudioBuffer.length);
-    elevenLabsAudioBuffer = newBuffer;
+function stopHoldTone(callSession) {
+    if (callSession.holdToneTimer) {
+        clearInterval(callSession.holdToneTimer);
+        callSession.holdToneTimer = null;
+
+        // Agent audio that arrived while the tone was playing
+        if (callSession.playout?.buffer.length > 0) {
+            startAudioPlayback(callSession);
+        }
+    }
+}
+
+/**
+ * Queue agent samples for playout
+ *
+ * Past the PLAYBACK_MAX_BUFFER_MS high-water mark the oldest queued audio is
+ * dropped to keep latency bounded.
+ */
+function addToPlaybackBuffer(callSession, samples) {
+    const playout = getPlayout(callSession);
+    const now = performance.now();
+
+    if (playout.starvedAt !== null) {
+        if (now - playout.starvedAt < UNDERRUN_GAP_MS) {
+            // Agent audio is arriving slower than real time
+            callSession.playbackUnderruns++;
+            playbackUnderrunsTotal.inc();
+        }
+        playout.starvedAt = null;
+    }
+    if (!playout.playing && playout.waitingSince === null) {
+        playout.waitingSince = now;
+    }
+
+    const dropped = playout.buffer.write(samples);
+    if (dropped > 0) {
+        callSession.playbackOverruns++;
+        playbackOverrunsTotal.inc();
+        callSession.logger.debug("Playback buffer over high-water mark - dropped oldest audio", {
+            droppedMs: Math.round(dropped / WHATSAPP_SAMPLE_RATE * 1000),
+            maxBufferMs: PLAYBACK_MAX_BUFFER_MS
+        });
+    }
+}
+
+// Queued agent audio kept (and faded out) when playback is flushed - avoids a click
+const FLUSH_FADE_MS = 20;
+
+/**
+ * Flush queued agent audio (e.g. when the caller barges in)
+ *
+ * The first FLUSH_FADE_MS of the queue is kept and ramped down to silence;
+ * the rest is dropped. Returns the number of samples dropped.
+ */
+function flushPlayback(callSession) {
+    const playout = getPlayout(callSession);
+    const { buffer } = playout;
+
+    const faded = new Int16Array(Math.min(buffer.length, Math.round(WHATSAPP_SAMPLE_RATE * FLUSH_FADE_MS / 1000)));
+    buffer.read(faded);
+    for (let i = 0; i < faded.length; i++) {
+        faded[i] = Math.round(faded[i] * (1 - (i + 1) / faded.length));
+    }
+
+    const dropped = buffer.length;
+    buffer.clear();
+    buffer.write(faded);
+    playout.starvedAt = null;
+
+    return dropped;
 }
 
 /**
  * Reset playback state
  */
-function resetPlayback() {
-    if (audioPlaybackTimer) {
-        clearInterval(audioPlaybackTimer);
-        audioPlaybackTimer = null;
+function resetPlayback(callSession) {
+    if (callSession.audioPlaybackTimer) {
+        clearInterval(callSession.audioPlaybackTimer);
+        callSession.audioPlaybackTimer = null;
     }
-    elevenLabsAudioBuffer = new Int16Array(0);
-    elevenLabsAudioCount = 0;
+    callSession.playout = null;
+    resetElevenLabsAudioCount(callSession);
+    stopHoldTone(callSession);
 }
 
 module.exports = {
     startAudioPlayback,
     addToPlaybackBuffer,
+    flushPlayback,
     resetPlayback,
+    startHoldTone,
+    stopHoldTone,
     getElevenLabsAudioCount,
     incrementElevenLabsAudioCount,
     resetElevenLabsAudioCount
@@ -0,0 +1,188 @@
+/**
+ * Call Recorder
+ *
+ * Writes both legs of a call to a 16-bit PCM WAV file as the call runs:
+ * - "separate": stereo, caller on the left channel and agent on the right
+ * - "mixed": mono, both legs summed
+ *
+ * Each leg is resampled to the recording rate and queued. Legs are written
+ * out together against the wall clock (a little behind it, so late frames
+ * still land in place); a leg with nothing queued for that stretch is
+ * written as silence, which keeps the two channels aligned.
+ *
+ * The file is written as `<name>.part` and renamed once the header is final,
+ * so a readable .wav is always complete.
+ */
+
+const fs = require('fs');
+
+const { Resampler } = require('./resampler');
+const { RingBuffer } = require('./ring-buffer');
+
+// How far behind the wall clock audio is written, to absorb frame jitter
+const WRITE_LAG_MS = 200;
+
+// Smallest stretch written at once (avoids a disk write per 10ms frame)
+const MIN_WRITE_MS = 100;
+
+// Most audio a leg may queue ahead of the other before its oldest audio is dropped
+const MAX_LEG_QUEUE_MS = 10000;
+
+const WAV_HEADER_BYTES = 44;
+
+/**
+ * 44-byte PCM WAV header
+ */
+function createWavHeader({ sampleRate, channels, dataBytes }) {
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);                        // fmt chunk size
+    header.writeUInt16LE(1, 20);                         // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+    header.writeUInt16LE(channels * 2, 32);              // block align
+    header.writeUInt16LE(16, 34);                        // bits per sample
+    header.write("data", 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+class CallRecorder {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Final .wav path
+     * @param {number} options.sampleRate - Recording sample rate
+     * @param {string} options.layout - "separate" (stereo) or "mixed" (mono)
+     * @param {object} options.logger - Call logger
+     */
+    constructor({ filePath, sampleRate, layout, logger }) {
+        this.filePath = filePath;
+        this.partPath = `${filePath}.part`;
+        this.sampleRate = sampleRate;
+        this.layout = layout;
+        this.channels = layout === "separate" ? 2 : 1;
+        this.logger = logger;
+
+        const queueLength = Math.round(sampleRate * MAX_LEG_QUEUE_MS / 1000);
+        this.legs = {
+            caller: { queue: new RingBuffer(queueLength), resampler: null },
+            agent: { queue: new RingBuffer(queueLength), resampler: null }
+        };
+
+        this.startedAt = performance.now();
+        this.samplesWritten = 0;    // Per channel
+        this.dataBytes = 0;
+        this.failed = false;
+        this.closed = false;
+
+        this.stream = fs.createWriteStream(this.partPath);
+        this.stream.on("error", (error) => {
+            if (!this.failed) {
+                this.failed = true;
+                this.logger.error("Call recording write failed - recording stopped", { file: this.partPath, err: error });
+            }
+        });
+        this.stream.write(createWavHeader({ sampleRate, channels: this.channels, dataBytes: 0 }));
+    }
+
+    /**
+     * Queue caller audio (as delivered by the RTCAudioSink)
+     */
+    writeCaller(samples, sampleRate, channels = 1) {
+        this.writeLeg(this.legs.caller, samples, sampleRate, channels);
+    }
+
+    /**
+     * Queue agent audio as it is played out to the caller
+     */
+    writeAgent(samples, sampleRate) {
+        this.writeLeg(this.legs.agent, samples, sampleRate, 1);
+    }
+
+    writeLeg(leg, samples, sampleRate, channels) {
+        if (this.closed || this.failed) {
+            return;
+        }
+
+        if (!leg.resampler || leg.resampler.inputRate !== sampleRate || leg.resampler.channels !== channels) {
+            leg.resampler = new Resampler({ inputRate: sampleRate, outputRate: this.sampleRate, channels });
+        }
+        leg.queue.write(leg.resampler.process(samples));
+
+        const due = Math.floor((performance.now() - this.startedAt - WRITE_LAG_MS) * this.sampleRate / 1000);
+        if (due - this.samplesWritten >= this.sampleRate * MIN_WRITE_MS / 1000) {
+            this.writeSamples(due - this.samplesWritten);
+        }
+    }
+
+    /**
+     * Take `count` samples from each leg (silence where a leg has none) and append them
+     */
+    writeSamples(count) {
+        const caller = new Int16Array(count);
+        const agent = new Int16Array(count);
+        this.legs.caller.queue.read(caller, count);
+        this.legs.agent.queue.read(agent, count);
+
+        const output = new Int16Array(count * this.channels);
+        for (let i = 0; i < count; i++) {
+            if (this.channels === 2) {
+                output[i * 2] = caller[i];
+                output[i * 2 + 1] = agent[i];
+            } else {
+                const mixed = caller[i] + agent[i];
+                output[i] = mixed > 32767 ? 32767 : mixed < -32768 ? -32768 : mixed;
+            }
+        }
+
+        this.stream.write(Buffer.from(output.buffer));
+        this.samplesWritten += count;
+        this.dataBytes += output.byteLength;
+    }
+
+    /**
+     * Write what is still queued, finalize the header and move the file into place
+     *
+     * Resolves { filePath, bytes, durationSeconds }, or null if the recording failed.
+     */
+    async close() {
+        if (this.closed) {
+            return null;
+        }
+        this.closed = true;
+
+        const remaining = Math.max(this.legs.caller.queue.length, this.legs.agent.queue.length);
+        if (!this.failed && remaining > 0) {
+            this.writeSamples(remaining);
+        }
+
+        await new Promise((resolve) => this.stream.end(resolve));
+        if (this.failed) {
+            await fs.promises.rm(this.partPath, { force: true });
+            return null;
+        }
+
+        const handle = await fs.promises.open(this.partPath, "r+");
+        try {
+            await handle.write(createWavHeader({ sampleRate: this.sampleRate, channels: this.channels, dataBytes: this.dataBytes }), 0, WAV_HEADER_BYTES, 0);
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(this.partPath, this.filePath);
+
+        return {
+            filePath: this.filePath,
+            bytes: WAV_HEADER_BYTES + this.dataBytes,
+            durationSeconds: this.samplesWritten / this.sampleRate
+        };
+    }
+}
+
+module.exports = {
+    CallRecorder,
+    createWavHeader
+};
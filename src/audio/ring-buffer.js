@@ -0,0 +1,129 @@
+/**
+ * Audio Ring Buffer
+ *
+ * FIFO of 16-bit samples backed by a circular Int16Array, so writes and reads
+ * copy only the samples involved instead of reallocating the whole queue.
+ *
+ * Storage starts small and doubles as needed up to `maxLength`. Writing past
+ * `maxLength` drops the oldest samples - the buffer never holds more than
+ * `maxLength` samples of latency.
+ */
+
+const INITIAL_CAPACITY = 4800;   // 100ms at 48kHz
+
+class RingBuffer {
+    /**
+     * @param {number} maxLength - Most samples held at once
+     */
+    constructor(maxLength) {
+        if (!(maxLength > 0)) {
+            throw new Error(`Invalid ring buffer size: ${maxLength}`);
+        }
+
+        this.maxLength = maxLength;
+        this.data = new Int16Array(Math.min(INITIAL_CAPACITY, maxLength));
+        this.start = 0;      // Index of the oldest sample
+        this.length = 0;     // Samples currently held
+    }
+
+    /**
+     * Grow storage (keeping sample order) so at least `needed` samples fit
+     */
+    ensureCapacity(needed) {
+        if (needed <= this.data.length) {
+            return;
+        }
+
+        let capacity = this.data.length;
+        while (capacity < needed) {
+            capacity *= 2;
+        }
+        capacity = Math.min(capacity, this.maxLength);
+
+        const data = new Int16Array(capacity);
+        this.peek(data, this.length);
+        this.data = data;
+        this.start = 0;
+    }
+
+    /**
+     * Append samples, dropping the oldest if over maxLength
+     *
+     * Returns the number of samples dropped.
+     */
+    write(samples) {
+        let input = samples;
+        let dropped = 0;
+
+        // More than fits on its own - only the newest maxLength samples matter
+        if (input.length > this.maxLength) {
+            dropped += input.length - this.maxLength;
+            input = input.subarray(input.length - this.maxLength);
+        }
+
+        const overflow = this.length + input.length - this.maxLength;
+        if (overflow > 0) {
+            this.discard(overflow);
+            dropped += overflow;
+        }
+
+        this.ensureCapacity(this.length + input.length);
+
+        const capacity = this.data.length;
+        const end = (this.start + this.length) % capacity;
+        const firstPart = Math.min(input.length, capacity - end);
+        this.data.set(input.subarray(0, firstPart), end);
+        this.data.set(input.subarray(firstPart), 0);
+        this.length += input.length;
+
+        return dropped;
+    }
+
+    /**
+     * Copy up to `count` of the oldest samples into `target` without removing them
+     *
+     * Returns the number of samples copied.
+     */
+    peek(target, count = target.length) {
+        const copied = Math.min(count, this.length, target.length);
+        const capacity = this.data.length;
+        const firstPart = Math.min(copied, capacity - this.start);
+
+        target.set(this.data.subarray(this.start, this.start + firstPart), 0);
+        target.set(this.data.subarray(0, copied - firstPart), firstPart);
+        return copied;
+    }
+
+    /**
+     * Move up to `count` of the oldest samples into `target`
+     *
+     * Returns the number of samples read.
+     */
+    read(target, count = target.length) {
+        const copied = this.peek(target, count);
+        this.discard(copied);
+        return copied;
+    }
+
+    /**
+     * Drop up to `count` of the oldest samples
+     */
+    discard(count) {
+        const removed = Math.min(count, this.length);
+        this.start = (this.start + removed) % this.data.length;
+        this.length -= removed;
+        if (this.length === 0) {
+            this.start = 0;
+        }
+        return removed;
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+module.exports = {
+    RingBuffer
+};
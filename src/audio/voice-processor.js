@@ -0,0 +1,213 @@
+/**
+ * Caller Voice Processor
+ *
+ * Optional processing of caller audio before it is sent to ElevenLabs, run on
+ * mono 16-bit frames (~10ms) at the agent's input rate:
+ *
+ * 1. High-pass filter (~80Hz) - removes DC offset and reduces mains hum
+ * 2. VAD - frame energy against an adaptive noise floor, with zero-crossing
+ *    rate as a cheap spectral cue (broadband hiss crosses zero far more often
+ *    than voiced speech). A hangover keeps word endings and short pauses.
+ * 3. Noise gate - non-speech frames are attenuated, with the gain ramped
+ *    across each frame so opening/closing doesn't click
+ * 4. AGC - speech level is steered towards a target with a fast attack and
+ *    slow release; gain is held during silence and peaks are limited
+ *
+ * process() returns the processed samples and whether the frame counts as
+ * speech, so the bridge can drop silent frames when a call asks for it.
+ */
+
+const {
+    VOICE_PROCESSING_ENABLED,
+    VOICE_VAD_THRESHOLD_DB,
+    VOICE_VAD_HANGOVER_MS,
+    VOICE_GATE_ATTENUATION_DB,
+    VOICE_AGC_ENABLED,
+    VOICE_AGC_TARGET_DBFS,
+    VOICE_SILENCE_MODE
+} = require('../config');
+
+const HIGH_PASS_HZ = 80;
+
+// Frames quieter than this are never speech, however low the noise floor
+const VAD_MIN_SPEECH_DBFS = -55;
+
+// Zero-crossing rate above which a frame only counts as speech if it is well
+// above the floor (unvoiced consonants are noisy too, but loud)
+const VAD_MAX_ZERO_CROSSING_RATE = 0.35;
+const VAD_NOISY_EXTRA_DB = 6;
+
+// Noise floor tracking: follows drops quickly, rises slowly (~5s at 10ms frames).
+// It starts at the first frame's level - calls open with the caller listening.
+const NOISE_FLOOR_FALL = 0.2;
+const NOISE_FLOOR_RISE = 0.002;
+
+// AGC limits and smoothing (per frame)
+const AGC_MIN_GAIN_DB = -12;
+const AGC_MAX_GAIN_DB = 18;
+const AGC_LEVEL_SMOOTHING = 0.1;
+const AGC_ATTACK = 0.3;     // Gain reductions
+const AGC_RELEASE = 0.05;   // Gain increases
+const LIMITER_PEAK = 32000;
+
+const toDb = (gain) => 20 * Math.log10(gain);
+const fromDb = (db) => 10 ** (db / 20);
+
+/**
+ * Settings for one call - config defaults with optional per-call overrides
+ *
+ * Overrides: { enabled, silenceMode ("send" | "drop"), agc }
+ */
+function getVoiceProcessingSettings(overrides = {}) {
+    return {
+        enabled: overrides.enabled ?? VOICE_PROCESSING_ENABLED,
+        silenceMode: overrides.silenceMode ?? VOICE_SILENCE_MODE,
+        agc: overrides.agc ?? VOICE_AGC_ENABLED,
+        vadThresholdDb: VOICE_VAD_THRESHOLD_DB,
+        hangoverMs: VOICE_VAD_HANGOVER_MS,
+        gateAttenuationDb: VOICE_GATE_ATTENUATION_DB,
+        agcTargetDbfs: VOICE_AGC_TARGET_DBFS
+    };
+}
+
+class VoiceProcessor {
+    /**
+     * @param {object} options
+     * @param {number} options.sampleRate - Rate of the frames passed to process()
+     * @param {object} [options.settings] - From getVoiceProcessingSettings()
+     */
+    constructor({ sampleRate, settings = getVoiceProcessingSettings() }) {
+        this.sampleRate = sampleRate;
+        this.settings = settings;
+
+        // One-pole high-pass coefficient
+        const rc = 1 / (2 * Math.PI * HIGH_PASS_HZ);
+        this.highPassAlpha = rc / (rc + 1 / sampleRate);
+
+        this.reset();
+    }
+
+    reset() {
+        this.previousInput = 0;
+        this.previousOutput = 0;
+        this.noiseFloorDb = null;
+        this.speechLevelDb = null;
+        this.agcGainDb = 0;
+        this.gateGain = 1;
+        this.hangoverRemaining = 0;     // Samples of hangover left
+    }
+
+    /**
+     * Process one frame of mono samples
+     *
+     * Returns { samples: Int16Array, speech: boolean }
+     */
+    process(input) {
+        const filtered = this.highPass(input);
+        const { energyDb, zeroCrossingRate } = this.analyze(filtered);
+        const active = this.detectVoice(energyDb, zeroCrossingRate);
+        const speech = this.applyHangover(active, input.length);
+
+        // Level is only learned from voiced frames, not the hangover tail
+        if (this.settings.agc && active) {
+            this.updateAgc(energyDb);
+        }
+
+        const gateTarget = speech ? 1 : fromDb(-this.settings.gateAttenuationDb);
+        const agcGain = this.settings.agc ? fromDb(this.agcGainDb) : 1;
+
+        // Keep the loudest sample under the limiter peak
+        let peak = 0;
+        for (let i = 0; i < filtered.length; i++) {
+            peak = Math.max(peak, Math.abs(filtered[i]));
+        }
+        const limitedGain = peak * agcGain > LIMITER_PEAK ? LIMITER_PEAK / peak : agcGain;
+
+        const output = new Int16Array(filtered.length);
+        const gateStart = this.gateGain;
+        for (let i = 0; i < filtered.length; i++) {
+            const gate = gateStart + (gateTarget - gateStart) * ((i + 1) / filtered.length);
+            const value = Math.round(filtered[i] * gate * limitedGain);
+            output[i] = value > 32767 ? 32767 : value < -32768 ? -32768 : value;
+        }
+        this.gateGain = gateTarget;
+
+        return { samples: output, speech };
+    }
+
+    highPass(input) {
+        const output = new Float32Array(input.length);
+        let previousInput = this.previousInput;
+        let previousOutput = this.previousOutput;
+
+        for (let i = 0; i < input.length; i++) {
+            previousOutput = this.highPassAlpha * (previousOutput + input[i] - previousInput);
+            previousInput = input[i];
+            output[i] = previousOutput;
+        }
+
+        this.previousInput = previousInput;
+        this.previousOutput = previousOutput;
+        return output;
+    }
+
+    analyze(samples) {
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+
+        const rms = Math.sqrt(sumSquares / Math.max(1, samples.length));
+        return {
+            energyDb: rms > 0 ? Math.max(-100, toDb(rms / 32768)) : -100,
+            zeroCrossingRate: samples.length > 1 ? crossings / (samples.length - 1) : 0
+        };
+    }
+
+    detectVoice(energyDb, zeroCrossingRate) {
+        if (this.noiseFloorDb === null) {
+            this.noiseFloorDb = energyDb;
+        }
+
+        const aboveFloorDb = energyDb - this.noiseFloorDb;
+        const threshold = this.settings.vadThresholdDb + (zeroCrossingRate > VAD_MAX_ZERO_CROSSING_RATE ? VAD_NOISY_EXTRA_DB : 0);
+        const active = energyDb > VAD_MIN_SPEECH_DBFS && aboveFloorDb >= threshold;
+
+        // The floor keeps rising slowly even through "speech", so a line that
+        // turns steadily noisy stops counting as speech after a few seconds
+        const rate = energyDb < this.noiseFloorDb ? NOISE_FLOOR_FALL : NOISE_FLOOR_RISE;
+        this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+        return active;
+    }
+
+    applyHangover(active, frameLength) {
+        if (active) {
+            this.hangoverRemaining = Math.round(this.sampleRate * this.settings.hangoverMs / 1000);
+            return true;
+        }
+        if (this.hangoverRemaining > 0) {
+            this.hangoverRemaining = Math.max(0, this.hangoverRemaining - frameLength);
+            return true;
+        }
+        return false;
+    }
+
+    updateAgc(energyDb) {
+        this.speechLevelDb = this.speechLevelDb === null
+            ? energyDb
+            : this.speechLevelDb + (energyDb - this.speechLevelDb) * AGC_LEVEL_SMOOTHING;
+
+        const desiredDb = Math.min(AGC_MAX_GAIN_DB, Math.max(AGC_MIN_GAIN_DB, this.settings.agcTargetDbfs - this.speechLevelDb));
+        const rate = desiredDb < this.agcGainDb ? AGC_ATTACK : AGC_RELEASE;
+        this.agcGainDb += (desiredDb - this.agcGainDb) * rate;
+    }
+}
+
+module.exports = {
+    VoiceProcessor,
+    getVoiceProcessingSettings
+};
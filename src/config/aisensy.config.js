@@ -2,9 +2,9 @@
  * AiSensy API Configuration
  */
 
-const AISENSY_BASE_URL = "https://apis.aisensy.com/project-apis/v1";
-const PROJECT_ID = process.env.AISENSY_PROJECT_ID;
-const API_KEY = process.env.AISENSY_API_KEY;
+const { getSettings } = require('./loader');
+
+const { AISENSY_BASE_URL, PROJECT_ID, API_KEY, AISENSY_REQUEST_TIMEOUT_MS } = getSettings();
 
 const AISENSY_HEADERS = {
     "x-aisensy-project-api-pwd": API_KEY,
@@ -15,5 +15,6 @@ module.exports = {
     AISENSY_BASE_URL,
     PROJECT_ID,
     API_KEY,
-    AISENSY_HEADERS
+    AISENSY_HEADERS,
+    AISENSY_REQUEST_TIMEOUT_MS
 };
@@ -0,0 +1,17 @@
+/**
+ * Call API Configuration
+ *
+ * Access to the /calls endpoints (outbound dialing, hangup, recordings, ...)
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // Key callers must send as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+    // The call API is disabled (503) while it is unset.
+    CALL_API_KEY
+} = getSettings();
+
+module.exports = {
+    CALL_API_KEY
+};
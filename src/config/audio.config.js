@@ -4,22 +4,49 @@
  * Sample rates for WhatsApp WebRTC and ElevenLabs Conversational AI
  */
 
+const { getSettings } = require('./loader');
+
 // Audio configuration
 // - WhatsApp WebRTC: 48kHz PCM (both input and output)
-// - ElevenLabs INPUT: 16kHz PCM (user audio sent to AI)
-// - ElevenLabs OUTPUT: 48kHz PCM (AI audio, direct to WhatsApp - no conversion!)
-const ELEVENLABS_INPUT_SAMPLE_RATE = 16000;  // For sending user audio TO ElevenLabs
-const WHATSAPP_SAMPLE_RATE = 48000;           // WhatsApp and ElevenLabs output both use 48kHz
-
-// Frame size for audio playback (10ms at 48kHz)
-const FRAME_SIZE = 480;
+// - ElevenLabs INPUT/OUTPUT: whatever the agent announces in its conversation
+//   metadata (pcm_16000, ulaw_8000, ...); the rates below are only used as
+//   PCM fallbacks when a format is missing or unsupported
+const {
+    ELEVENLABS_INPUT_SAMPLE_RATE,  // Fallback for user audio sent TO ElevenLabs
+    ELEVENLABS_OUTPUT_SAMPLE_RATE, // Fallback for agent audio received FROM ElevenLabs
+    WHATSAPP_SAMPLE_RATE,          // WhatsApp WebRTC rate (input and playback)
+    CHUNK_SIZE,                    // Bytes sent to ElevenLabs at a time (~250ms at 16kHz mono 16-bit)
+    HOLD_TONE_ENABLED,             // Play a hold tone (instead of silence) while ElevenLabs reconnects
+    PLAYBACK_PREBUFFER_MS,         // Agent audio buffered before playout starts (jitter tolerance)
+    PLAYBACK_MAX_BUFFER_MS,        // Playout high-water mark - oldest audio is dropped beyond it
+    PLAYBACK_UNDERRUN_FILL,        // What plays when the buffer runs dry: silence or comfort_noise
+    VOICE_PROCESSING_ENABLED,      // VAD + noise gate + AGC on caller audio (per-call overridable)
+    VOICE_SILENCE_MODE,            // Non-speech caller frames: "send" (gated, as keepalive) or "drop"
+    VOICE_VAD_THRESHOLD_DB,        // dB above the noise floor that counts as speech
+    VOICE_VAD_HANGOVER_MS,         // Speech is held this long after the last voiced frame
+    VOICE_GATE_ATTENUATION_DB,     // Noise gate attenuation for non-speech frames
+    VOICE_AGC_ENABLED,             // Automatic gain control on speech
+    VOICE_AGC_TARGET_DBFS          // AGC target speech level
+} = getSettings();
 
-// Chunk size for sending audio to ElevenLabs (~250ms of audio at 16kHz mono 16-bit)
-const CHUNK_SIZE = 4000;
+// Frame size for audio playback (10ms at the WhatsApp sample rate)
+const FRAME_SIZE = WHATSAPP_SAMPLE_RATE / 100;
 
 module.exports = {
     ELEVENLABS_INPUT_SAMPLE_RATE,
+    ELEVENLABS_OUTPUT_SAMPLE_RATE,
     WHATSAPP_SAMPLE_RATE,
     FRAME_SIZE,
-    CHUNK_SIZE
+    CHUNK_SIZE,
+    HOLD_TONE_ENABLED,
+    PLAYBACK_PREBUFFER_MS,
+    PLAYBACK_MAX_BUFFER_MS,
+    PLAYBACK_UNDERRUN_FILL,
+    VOICE_PROCESSING_ENABLED,
+    VOICE_SILENCE_MODE,
+    VOICE_VAD_THRESHOLD_DB,
+    VOICE_VAD_HANGOVER_MS,
+    VOICE_GATE_ATTENUATION_DB,
+    VOICE_AGC_ENABLED,
+    VOICE_AGC_TARGET_DBFS
 };
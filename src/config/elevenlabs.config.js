@@ -2,16 +2,35 @@
  * ElevenLabs Conversational AI Configuration
  */
 
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID;
+const { getSettings } = require('./loader');
 
-// WebSocket URL builder
+const {
+    ELEVENLABS_API_KEY,
+    ELEVENLABS_AGENT_ID,
+    ELEVENLABS_BASE_URL,
+
+    // WebSocket handshake timeout
+    ELEVENLABS_CONNECT_TIMEOUT_MS,
+
+    // Mid-call reconnects after an unexpected close (0 = hang up straight away)
+    ELEVENLABS_RECONNECT_ATTEMPTS,
+    ELEVENLABS_RECONNECT_BASE_DELAY_MS,
+    ELEVENLABS_RECONNECT_MAX_DELAY_MS
+} = getSettings();
+
+// WebSocket URL builder (same host as the REST API, ws/wss scheme)
 const getWebSocketUrl = () => {
-    return `wss://api.elevenlabs.io/v1/convai/conversation?agent_id=${ELEVENLABS_AGENT_ID}`;
+    const wsBaseUrl = ELEVENLABS_BASE_URL.replace(/^http/, "ws");
+    return `${wsBaseUrl}/v1/convai/conversation?agent_id=${ELEVENLABS_AGENT_ID}`;
 };
 
 module.exports = {
     ELEVENLABS_API_KEY,
     ELEVENLABS_AGENT_ID,
+    ELEVENLABS_BASE_URL,
+    ELEVENLABS_CONNECT_TIMEOUT_MS,
+    ELEVENLABS_RECONNECT_ATTEMPTS,
+    ELEVENLABS_RECONNECT_BASE_DELAY_MS,
+    ELEVENLABS_RECONNECT_MAX_DELAY_MS,
     getWebSocketUrl
 };
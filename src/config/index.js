@@ -7,9 +7,13 @@
 const aisensyConfig = require('./aisensy.config');
 const elevenlabsConfig = require('./elevenlabs.config');
 const audioConfig = require('./audio.config');
-
-// STUN server for NAT traversal
-const ICE_SERVERS = [{ urls: "stun:stun.relay.metered.ca:80" }];
+const webhookConfig = require('./webhook.config');
+const apiConfig = require('./api.config');
+const loggingConfig = require('./logging.config');
+const serverConfig = require('./server.config');
+const webrtcConfig = require('./webrtc.config');
+const recordingConfig = require('./recording.config');
+const transcriptConfig = require('./transcript.config');
 
 module.exports = {
     // AiSensy
@@ -21,6 +25,24 @@ module.exports = {
     // Audio
     ...audioConfig,
 
+    // Webhook security
+    ...webhookConfig,
+
+    // Call API
+    ...apiConfig,
+
+    // Logging
+    ...loggingConfig,
+
+    // Server / readiness
+    ...serverConfig,
+
     // WebRTC
-    ICE_SERVERS
+    ...webrtcConfig,
+
+    // Call recording
+    ...recordingConfig,
+
+    // Call transcripts
+    ...transcriptConfig
 };
@@ -0,0 +1,262 @@
+/**
+ * Configuration Loader
+ *
+ * Builds the validated settings object from, in order of precedence:
+ *   1. environment variables (including .env)
+ *   2. an optional JSON or YAML file named by CONFIG_FILE
+ *   3. schema defaults
+ *
+ * Values are coerced to their schema type. All problems are collected and
+ * thrown together as a ConfigError so startup can print them and exit.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const YAML = require('yaml');
+
+const { SCHEMA, validateCrossField } = require('./schema');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+        this.name = "ConfigError";
+        this.errors = errors;
+    }
+}
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+// Item checks for list settings - each returns true when the item is valid
+const LIST_ITEMS = {
+    turnUrl: { check: (item) => /^turns?:/.test(item), describe: "a turn: or turns: URL" },
+    ip: { check: (item) => net.isIP(item) !== 0, describe: "an IP address" }
+};
+
+/**
+ * Where a config file failed to parse, without quoting it
+ *
+ * YAML and JSON parse errors can include the offending line, which may be a
+ * secret; only the position is reported.
+ */
+function describeParseError(error) {
+    if (error.linePos) {
+        return ` at line ${error.linePos[0].line}, column ${error.linePos[0].col}`;
+    }
+    const position = /position (\d+)/.exec(error.message);
+    return position ? ` at position ${position[1]}` : "";
+}
+
+/**
+ * Read the config file (keys are the same names as the environment variables)
+ */
+function readConfigFile(filePath) {
+    const resolved = path.resolve(filePath);
+    let text;
+    try {
+        text = fs.readFileSync(resolved, "utf8");
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE ${resolved} could not be read: ${error.message}`]);
+    }
+
+    let data;
+    try {
+        data = /\.ya?ml$/i.test(resolved) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE ${resolved} is not valid ${/\.ya?ml$/i.test(resolved) ? "YAML" : "JSON"}${describeParseError(error)}`]);
+    }
+
+    if (data === null || data === undefined) {
+        return {};
+    }
+    if (typeof data !== "object" || Array.isArray(data)) {
+        throw new ConfigError([`CONFIG_FILE ${resolved} must contain an object of settings`]);
+    }
+
+    const known = new Set(SCHEMA.map((setting) => setting.env));
+    const unknown = Object.keys(data).filter((key) => !known.has(key));
+    if (unknown.length > 0) {
+        throw new ConfigError(unknown.map((key) => `CONFIG_FILE ${resolved}: unknown setting "${key}"`));
+    }
+
+    return data;
+}
+
+/**
+ * Coerce and validate one raw value - returns { value } or { error }
+ *
+ * Environment values are always strings; file values may already be typed.
+ */
+function coerce(setting, raw) {
+    switch (setting.type) {
+        case "string": {
+            if (typeof raw !== "string" && typeof raw !== "number") {
+                return { error: "must be a string" };
+            }
+            return { value: String(raw).trim() };
+        }
+
+        case "header": {
+            if (typeof raw !== "string" || !/^[A-Za-z0-9-]+$/.test(raw.trim())) {
+                return { error: "must be an HTTP header name" };
+            }
+            return { value: raw.trim().toLowerCase() };
+        }
+
+        case "integer": {
+            const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(value)) {
+                return { error: "must be an integer" };
+            }
+            if (setting.min !== undefined && value < setting.min) {
+                return { error: `must be at least ${setting.min}` };
+            }
+            if (setting.max !== undefined && value > setting.max) {
+                return { error: `must be at most ${setting.max}` };
+            }
+            return { value };
+        }
+
+        case "boolean": {
+            if (typeof raw === "boolean") {
+                return { value: raw };
+            }
+            const text = String(raw).trim().toLowerCase();
+            if (TRUE_VALUES.includes(text)) return { value: true };
+            if (FALSE_VALUES.includes(text)) return { value: false };
+            return { error: `must be one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(", ")}` };
+        }
+
+        case "enum": {
+            const value = String(raw).trim().toLowerCase();
+            if (!setting.values.includes(value)) {
+                return { error: `must be one of ${setting.values.join(", ")}` };
+            }
+            return { value };
+        }
+
+        case "url": {
+            let url;
+            try {
+                url = new URL(String(raw).trim());
+            } catch (error) {
+                return { error: "must be an absolute URL" };
+            }
+            if (url.protocol !== "http:" && url.protocol !== "https:") {
+                return { error: "must be an http(s) URL" };
+            }
+            return { value: url.href.replace(/\/+$/, "") };
+        }
+
+        case "list": {
+            const items = Array.isArray(raw)
+                ? raw.map((item) => String(item).trim())
+                : String(raw).split(",").map((item) => item.trim()).filter(Boolean);
+            const itemType = LIST_ITEMS[setting.item];
+            const invalid = itemType ? items.filter((item) => !itemType.check(item)) : [];
+            if (invalid.length > 0) {
+                return { error: `must be a comma-separated list where each entry is ${itemType.describe} (invalid: ${invalid.join(", ")})` };
+            }
+            return { value: items };
+        }
+
+        case "iceServers":
+            return coerceIceServers(raw);
+
+        default:
+            return { error: `has unknown schema type "${setting.type}"` };
+    }
+}
+
+/**
+ * ICE servers: a JSON array of RTCIceServer objects, or a comma-separated list of URLs
+ */
+function coerceIceServers(raw) {
+    let servers = raw;
+
+    if (typeof raw === "string") {
+        const text = raw.trim();
+        if (text.startsWith("[")) {
+            try {
+                servers = JSON.parse(text);
+            } catch (error) {
+                return { error: `is not valid JSON${describeParseError(error)}` };
+            }
+        } else {
+            servers = text.split(",").map((url) => url.trim()).filter(Boolean).map((urls) => ({ urls }));
+        }
+    }
+
+    if (!Array.isArray(servers) || servers.length === 0) {
+        return { error: "must be a non-empty list of ICE servers" };
+    }
+
+    for (const [index, server] of servers.entries()) {
+        const urls = Array.isArray(server?.urls) ? server.urls : [server?.urls];
+        if (urls.length === 0 || !urls.every((url) => typeof url === "string" && /^(stuns?|turns?):/.test(url))) {
+            return { error: `entry ${index} must have "urls" as stun:/turn: URL(s)` };
+        }
+    }
+
+    return { value: servers };
+}
+
+/**
+ * Load and validate all settings
+ *
+ * Throws ConfigError listing every invalid setting.
+ */
+function loadConfig({ env = process.env, filePath = env.CONFIG_FILE } = {}) {
+    const fileValues = filePath ? readConfigFile(filePath) : {};
+    const settings = {};
+    const errors = [];
+
+    for (const setting of SCHEMA) {
+        const fromEnv = env[setting.env];
+        const hasEnv = fromEnv !== undefined && fromEnv !== "";
+        const raw = hasEnv ? fromEnv : fileValues[setting.env];
+        const source = hasEnv ? "environment" : "CONFIG_FILE";
+
+        if (raw === undefined || raw === null || raw === "") {
+            settings[setting.name] = setting.default;
+            continue;
+        }
+
+        const { value, error } = coerce(setting, raw);
+        if (error) {
+            const shown = setting.secret ? "" : ` (got ${JSON.stringify(raw)})`;
+            errors.push(`${setting.env} ${error}${shown} [from ${source}]`);
+        } else {
+            settings[setting.name] = value;
+        }
+    }
+
+    if (errors.length === 0) {
+        errors.push(...validateCrossField(settings));
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return Object.freeze(settings);
+}
+
+let cachedSettings = null;
+
+/**
+ * Validated settings for this process, loaded on first use
+ */
+function getSettings() {
+    if (!cachedSettings) {
+        cachedSettings = loadConfig();
+    }
+    return cachedSettings;
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    getSettings
+};
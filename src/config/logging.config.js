@@ -0,0 +1,18 @@
+/**
+ * Logging Configuration
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // Minimum level written: debug | info | warn | error
+    LOG_LEVEL,
+
+    // Mask phone numbers and strip SDP from log fields (set to false only for local debugging)
+    LOG_REDACT
+} = getSettings();
+
+module.exports = {
+    LOG_LEVEL,
+    LOG_REDACT
+};
@@ -0,0 +1,32 @@
+/**
+ * Recording Configuration
+ *
+ * Call recording output and retention
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // Record calls by default (outbound calls can override per call)
+    RECORDING_ENABLED,
+
+    // Directory for per-call .wav recordings and .json sidecars
+    RECORDING_DIR,
+
+    // "separate" = stereo (caller left, agent right), "mixed" = mono
+    RECORDING_LAYOUT,
+
+    // Sample rate of the WAV files
+    RECORDING_SAMPLE_RATE,
+
+    // Recordings older than this are deleted (0 = keep forever)
+    RECORDING_RETENTION_DAYS
+} = getSettings();
+
+module.exports = {
+    RECORDING_ENABLED,
+    RECORDING_DIR,
+    RECORDING_LAYOUT,
+    RECORDING_SAMPLE_RATE,
+    RECORDING_RETENTION_DAYS
+};
@@ -0,0 +1,143 @@
+/**
+ * Configuration Schema
+ *
+ * Every setting the server reads, with its type, default and constraints.
+ * `name` is what the config modules export; `env` is the environment
+ * variable (and config file key) it is read from.
+ *
+ * Types: string, header, integer, boolean, url, enum, list (of `item`), iceServers
+ * Values of `secret` settings are never echoed in validation errors.
+ */
+
+const SCHEMA = [
+    // AiSensy
+    { name: "AISENSY_BASE_URL", env: "AISENSY_BASE_URL", type: "url", default: "https://apis.aisensy.com/project-apis/v1" },
+    { name: "PROJECT_ID", env: "AISENSY_PROJECT_ID", type: "string" },
+    { name: "API_KEY", env: "AISENSY_API_KEY", type: "string", secret: true },
+    { name: "AISENSY_REQUEST_TIMEOUT_MS", env: "AISENSY_REQUEST_TIMEOUT_MS", type: "integer", default: 10000, min: 100 },
+
+    // ElevenLabs
+    { name: "ELEVENLABS_BASE_URL", env: "ELEVENLABS_BASE_URL", type: "url", default: "https://api.elevenlabs.io" },
+    { name: "ELEVENLABS_API_KEY", env: "ELEVENLABS_API_KEY", type: "string", secret: true },
+    { name: "ELEVENLABS_AGENT_ID", env: "ELEVENLABS_AGENT_ID", type: "string" },
+    { name: "ELEVENLABS_CONNECT_TIMEOUT_MS", env: "ELEVENLABS_CONNECT_TIMEOUT_MS", type: "integer", default: 10000, min: 100 },
+    { name: "ELEVENLABS_RECONNECT_ATTEMPTS", env: "ELEVENLABS_RECONNECT_ATTEMPTS", type: "integer", default: 3, min: 0, max: 10 },
+    { name: "ELEVENLABS_RECONNECT_BASE_DELAY_MS", env: "ELEVENLABS_RECONNECT_BASE_DELAY_MS", type: "integer", default: 500, min: 0 },
+    { name: "ELEVENLABS_RECONNECT_MAX_DELAY_MS", env: "ELEVENLABS_RECONNECT_MAX_DELAY_MS", type: "integer", default: 4000, min: 0 },
+
+    // Audio
+    { name: "WHATSAPP_SAMPLE_RATE", env: "WHATSAPP_SAMPLE_RATE", type: "integer", default: 48000, min: 8000, max: 48000 },
+    { name: "ELEVENLABS_INPUT_SAMPLE_RATE", env: "ELEVENLABS_INPUT_SAMPLE_RATE", type: "integer", default: 16000, min: 8000, max: 48000 },
+    { name: "ELEVENLABS_OUTPUT_SAMPLE_RATE", env: "ELEVENLABS_OUTPUT_SAMPLE_RATE", type: "integer", default: 48000, min: 8000, max: 48000 },
+    { name: "CHUNK_SIZE", env: "AUDIO_CHUNK_SIZE", type: "integer", default: 4000, min: 320 },
+    { name: "HOLD_TONE_ENABLED", env: "HOLD_TONE_ENABLED", type: "boolean", default: true },
+    { name: "PLAYBACK_PREBUFFER_MS", env: "PLAYBACK_PREBUFFER_MS", type: "integer", default: 40, min: 0, max: 1000 },
+    { name: "PLAYBACK_MAX_BUFFER_MS", env: "PLAYBACK_MAX_BUFFER_MS", type: "integer", default: 20000, min: 100 },
+    { name: "PLAYBACK_UNDERRUN_FILL", env: "PLAYBACK_UNDERRUN_FILL", type: "enum", values: ["silence", "comfort_noise"], default: "silence" },
+
+    // Caller voice processing (VAD, noise gate, AGC) before audio is sent to ElevenLabs
+    { name: "VOICE_PROCESSING_ENABLED", env: "VOICE_PROCESSING_ENABLED", type: "boolean", default: false },
+    { name: "VOICE_SILENCE_MODE", env: "VOICE_SILENCE_MODE", type: "enum", values: ["send", "drop"], default: "send" },
+    { name: "VOICE_VAD_THRESHOLD_DB", env: "VOICE_VAD_THRESHOLD_DB", type: "integer", default: 9, min: 1, max: 40 },
+    { name: "VOICE_VAD_HANGOVER_MS", env: "VOICE_VAD_HANGOVER_MS", type: "integer", default: 300, min: 0, max: 5000 },
+    { name: "VOICE_GATE_ATTENUATION_DB", env: "VOICE_GATE_ATTENUATION_DB", type: "integer", default: 24, min: 0, max: 80 },
+    { name: "VOICE_AGC_ENABLED", env: "VOICE_AGC_ENABLED", type: "boolean", default: true },
+    { name: "VOICE_AGC_TARGET_DBFS", env: "VOICE_AGC_TARGET_DBFS", type: "integer", default: -20, min: -40, max: -6 },
+
+    // WebRTC
+    { name: "ICE_SERVERS", env: "ICE_SERVERS", type: "iceServers", default: [{ urls: "stun:stun.relay.metered.ca:80" }], secret: true },
+    { name: "TRACK_TIMEOUT_MS", env: "WHATSAPP_TRACK_TIMEOUT_MS", type: "integer", default: 10000, min: 100 },
+    { name: "MEDIA_CONNECT_TIMEOUT_MS", env: "MEDIA_CONNECT_TIMEOUT_MS", type: "integer", default: 5000, min: 0 },
+    { name: "ICE_GATHERING_TIMEOUT_MS", env: "ICE_GATHERING_TIMEOUT_MS", type: "integer", default: 3000, min: 100 },
+    { name: "ICE_DISCONNECTED_GRACE_MS", env: "ICE_DISCONNECTED_GRACE_MS", type: "integer", default: 5000, min: 0 },
+    { name: "TURN_URLS", env: "TURN_URLS", type: "list", item: "turnUrl", default: [] },
+    { name: "TURN_SECRET", env: "TURN_SECRET", type: "string", secret: true },
+    { name: "TURN_USER", env: "TURN_USER", type: "string", default: "whatsapp-calling" },
+    { name: "TURN_CREDENTIAL_TTL_SECONDS", env: "TURN_CREDENTIAL_TTL_SECONDS", type: "integer", default: 86400, min: 60 },
+    { name: "ICE_TRANSPORT_POLICY", env: "ICE_TRANSPORT_POLICY", type: "enum", values: ["all", "relay"], default: "all" },
+    { name: "ICE_PORT_MIN", env: "ICE_PORT_MIN", type: "integer", min: 1, max: 65535 },
+    { name: "ICE_PORT_MAX", env: "ICE_PORT_MAX", type: "integer", min: 1, max: 65535 },
+    { name: "ICE_ADVERTISE_HOST_ADDRESSES", env: "ICE_ADVERTISE_HOST_ADDRESSES", type: "list", item: "ip", default: [] },
+
+    // SDP sent to AiSensy
+    { name: "SDP_AUDIO_CODECS", env: "SDP_AUDIO_CODECS", type: "list", default: ["opus", "telephone-event"] },
+    { name: "SDP_OPUS_USEINBANDFEC", env: "SDP_OPUS_USEINBANDFEC", type: "boolean", default: true },
+    { name: "SDP_OPUS_USEDTX", env: "SDP_OPUS_USEDTX", type: "boolean", default: false },
+    { name: "SDP_OPUS_MAXAVERAGEBITRATE", env: "SDP_OPUS_MAXAVERAGEBITRATE", type: "integer", min: 6000, max: 510000 },
+    { name: "SDP_PTIME", env: "SDP_PTIME", type: "integer", min: 10, max: 120 },
+
+    // Call recording
+    { name: "RECORDING_ENABLED", env: "RECORDING_ENABLED", type: "boolean", default: false },
+    { name: "RECORDING_DIR", env: "RECORDING_DIR", type: "string", default: "./recordings" },
+    { name: "RECORDING_LAYOUT", env: "RECORDING_LAYOUT", type: "enum", values: ["separate", "mixed"], default: "separate" },
+    { name: "RECORDING_SAMPLE_RATE", env: "RECORDING_SAMPLE_RATE", type: "integer", default: 16000, min: 8000, max: 48000 },
+    { name: "RECORDING_RETENTION_DAYS", env: "RECORDING_RETENTION_DAYS", type: "integer", default: 30, min: 0 },
+
+    // Call transcripts
+    { name: "TRANSCRIPT_STORE", env: "TRANSCRIPT_STORE", type: "enum", values: ["file", "memory"], default: "file" },
+    { name: "TRANSCRIPT_DIR", env: "TRANSCRIPT_DIR", type: "string", default: "./transcripts" },
+    { name: "TRANSCRIPT_RETENTION_DAYS", env: "TRANSCRIPT_RETENTION_DAYS", type: "integer", default: 30, min: 0 },
+
+    // Call API
+    { name: "CALL_API_KEY", env: "CALL_API_KEY", type: "string", secret: true },
+
+    // Webhook security
+    { name: "WEBHOOK_SECRET", env: "AISENSY_WEBHOOK_SECRET", type: "string", secret: true },
+    { name: "WEBHOOK_SIGNATURE_HEADER", env: "AISENSY_WEBHOOK_SIGNATURE_HEADER", type: "header", default: "x-aisensy-signature" },
+    { name: "WEBHOOK_TIMESTAMP_HEADER", env: "AISENSY_WEBHOOK_TIMESTAMP_HEADER", type: "header", default: "x-aisensy-timestamp" },
+    { name: "WEBHOOK_TOLERANCE_SECONDS", env: "AISENSY_WEBHOOK_TOLERANCE_SECONDS", type: "integer", default: 300, min: 1 },
+    { name: "WEBHOOK_DEDUP_TTL_SECONDS", env: "AISENSY_WEBHOOK_DEDUP_TTL_SECONDS", type: "integer", default: 600, min: 1 },
+
+    // Logging
+    { name: "LOG_LEVEL", env: "LOG_LEVEL", type: "enum", values: ["debug", "info", "warn", "error", "silent"], default: "info" },
+    { name: "LOG_REDACT", env: "LOG_REDACT", type: "boolean", default: true },
+
+    // Server / readiness
+    { name: "PORT", env: "PORT", type: "integer", default: 19000, min: 1, max: 65535 },
+    { name: "MAX_CONCURRENT_CALLS", env: "MAX_CONCURRENT_CALLS", type: "integer", default: 0, min: 0 },
+    { name: "READY_PROBE_UPSTREAMS", env: "READY_PROBE_UPSTREAMS", type: "boolean", default: false },
+    { name: "READY_PROBE_TIMEOUT_MS", env: "READY_PROBE_TIMEOUT_MS", type: "integer", default: 2000, min: 100 }
+];
+
+/**
+ * Checks that involve more than one setting
+ *
+ * Returns a list of error messages.
+ */
+function validateCrossField(settings) {
+    const errors = [];
+
+    if (settings.WHATSAPP_SAMPLE_RATE % 100 !== 0) {
+        errors.push(`WHATSAPP_SAMPLE_RATE must be a multiple of 100 (playback runs in 10ms frames), got ${settings.WHATSAPP_SAMPLE_RATE}`);
+    }
+    if (settings.CHUNK_SIZE % 2 !== 0) {
+        errors.push(`AUDIO_CHUNK_SIZE must be even (16-bit samples), got ${settings.CHUNK_SIZE}`);
+    }
+    if (settings.PLAYBACK_PREBUFFER_MS >= settings.PLAYBACK_MAX_BUFFER_MS) {
+        errors.push(`PLAYBACK_PREBUFFER_MS (${settings.PLAYBACK_PREBUFFER_MS}) must be less than PLAYBACK_MAX_BUFFER_MS (${settings.PLAYBACK_MAX_BUFFER_MS})`);
+    }
+
+    if (settings.TURN_URLS.length > 0 && !settings.TURN_SECRET) {
+        errors.push("TURN_URLS needs TURN_SECRET to generate credentials (put static TURN credentials in ICE_SERVERS instead)");
+    }
+    if (settings.TURN_SECRET && settings.TURN_URLS.length === 0) {
+        errors.push("TURN_SECRET is set but TURN_URLS is empty");
+    }
+    const hasTurnServer = settings.TURN_URLS.length > 0 || settings.ICE_SERVERS.some((server) =>
+        [].concat(server.urls).some((url) => /^turns?:/.test(url)));
+    if (settings.ICE_TRANSPORT_POLICY === "relay" && !hasTurnServer) {
+        errors.push("ICE_TRANSPORT_POLICY=relay needs a TURN server (TURN_URLS or a turn: entry in ICE_SERVERS)");
+    }
+    if ((settings.ICE_PORT_MIN === undefined) !== (settings.ICE_PORT_MAX === undefined)) {
+        errors.push("ICE_PORT_MIN and ICE_PORT_MAX must be set together");
+    } else if (settings.ICE_PORT_MIN > settings.ICE_PORT_MAX) {
+        errors.push(`ICE_PORT_MIN (${settings.ICE_PORT_MIN}) must not exceed ICE_PORT_MAX (${settings.ICE_PORT_MAX})`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SCHEMA,
+    validateCrossField
+};
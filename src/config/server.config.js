@@ -0,0 +1,28 @@
+/**
+ * Server Configuration
+ *
+ * Listen port, capacity and readiness-check settings
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    PORT,
+
+    // Calls handled at once; beyond it incoming calls are rejected, POST /calls gets 503
+    // and /ready reports the instance as full (0 = no limit)
+    MAX_CONCURRENT_CALLS,
+
+    // Also check that the AiSensy and ElevenLabs base URLs respond on /ready
+    READY_PROBE_UPSTREAMS,
+
+    // Per-upstream timeout for those probes
+    READY_PROBE_TIMEOUT_MS
+} = getSettings();
+
+module.exports = {
+    PORT,
+    MAX_CONCURRENT_CALLS,
+    READY_PROBE_UPSTREAMS,
+    READY_PROBE_TIMEOUT_MS
+};
@@ -0,0 +1,24 @@
+/**
+ * Transcript Configuration
+ *
+ * Where call transcripts are persisted
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // "file" (JSON per call in TRANSCRIPT_DIR) or "memory" (most recent calls, lost on restart)
+    TRANSCRIPT_STORE,
+
+    // Directory for per-call .json transcripts (file store)
+    TRANSCRIPT_DIR,
+
+    // Transcripts not saved for this long are deleted (0 = keep forever)
+    TRANSCRIPT_RETENTION_DAYS
+} = getSettings();
+
+module.exports = {
+    TRANSCRIPT_STORE,
+    TRANSCRIPT_DIR,
+    TRANSCRIPT_RETENTION_DAYS
+};
@@ -0,0 +1,30 @@
+/**
+ * Webhook Security Configuration
+ * 
+ * Shared secret and headers used to authenticate AiSensy webhook deliveries
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // HMAC-SHA256 shared secret - verification is skipped when unset
+    WEBHOOK_SECRET,
+
+    // Header names carrying the signature and delivery timestamp (lower-cased)
+    WEBHOOK_SIGNATURE_HEADER,
+    WEBHOOK_TIMESTAMP_HEADER,
+
+    // Deliveries older (or further in the future) than this are dropped as replays
+    WEBHOOK_TOLERANCE_SECONDS,
+
+    // How long processed events are remembered for de-duplicating AiSensy retries
+    WEBHOOK_DEDUP_TTL_SECONDS
+} = getSettings();
+
+module.exports = {
+    WEBHOOK_SECRET,
+    WEBHOOK_SIGNATURE_HEADER,
+    WEBHOOK_TIMESTAMP_HEADER,
+    WEBHOOK_TOLERANCE_SECONDS,
+    WEBHOOK_DEDUP_TTL_SECONDS
+};
@@ -0,0 +1,68 @@
+/**
+ * WebRTC Configuration
+ */
+
+const { getSettings } = require('./loader');
+
+const {
+    // STUN/TURN servers for NAT traversal (static credentials, if any, go here)
+    ICE_SERVERS,
+
+    // TURN servers whose credentials are minted per call from TURN_SECRET (TURN REST API scheme)
+    TURN_URLS,
+    TURN_SECRET,
+    TURN_USER,
+    TURN_CREDENTIAL_TTL_SECONDS,
+
+    // "all" or "relay" (only use TURN relay candidates)
+    ICE_TRANSPORT_POLICY,
+
+    // Local UDP/TCP port range for ICE (both unset = any port), passed as the
+    // peer connection's non-standard `portRange` (documented in @roamhq/wrtc's CHANGELOG)
+    ICE_PORT_MIN,
+    ICE_PORT_MAX,
+
+    // Host candidate addresses kept in the SDP sent to AiSensy (empty = all).
+    // Only edits the SDP - nothing is bound to these addresses
+    ICE_ADVERTISE_HOST_ADDRESSES,
+
+    // SDP rewrites applied before sending to AiSensy (see utils/sdp.transform.js)
+    SDP_AUDIO_CODECS,
+    SDP_OPUS_USEINBANDFEC,
+    SDP_OPUS_USEDTX,
+    SDP_OPUS_MAXAVERAGEBITRATE,
+    SDP_PTIME,
+
+    // Longest wait for ICE gathering to complete before sending SDP with what we have
+    ICE_GATHERING_TIMEOUT_MS,
+
+    // How long a disconnected media path may take to recover before the call is hung up
+    ICE_DISCONNECTED_GRACE_MS,
+
+    // How long to wait for the WhatsApp audio track once the remote SDP is applied
+    TRACK_TIMEOUT_MS,
+
+    // How long to wait after pre-accept for the WhatsApp media path before accepting anyway
+    MEDIA_CONNECT_TIMEOUT_MS
+} = getSettings();
+
+module.exports = {
+    ICE_SERVERS,
+    TURN_URLS,
+    TURN_SECRET,
+    TURN_USER,
+    TURN_CREDENTIAL_TTL_SECONDS,
+    ICE_TRANSPORT_POLICY,
+    ICE_PORT_MIN,
+    ICE_PORT_MAX,
+    ICE_ADVERTISE_HOST_ADDRESSES,
+    SDP_AUDIO_CODECS,
+    SDP_OPUS_USEINBANDFEC,
+    SDP_OPUS_USEDTX,
+    SDP_OPUS_MAXAVERAGEBITRATE,
+    SDP_PTIME,
+    ICE_GATHERING_TIMEOUT_MS,
+    ICE_DISCONNECTED_GRACE_MS,
+    TRACK_TIMEOUT_MS,
+    MEDIA_CONNECT_TIMEOUT_MS
+};
@@ -1,113 +1,475 @@
 /**
  * Call Handler
- * 
- * Orchestrates incoming call handling and cleanup
+ *
+ * Orchestrates incoming and outbound call handling and cleanup.
+ * Call progress is driven through the call state machine (state/call-state.js).
  */
 
 const session = require('../state/session');
 const playback = require('../audio/playback');
-const { setupWhatsAppWebRTC } = require('../services/webrtc.service');
-const { connectToElevenLabs } = require('../services/elevenlabs.service');
-const { preAcceptCall, acceptCall } = require('../services/aisensy.service');
+const { CALL_STATES, canTransition, isTerminal, transition, enterConversationIfReady } = require('../state/call-state');
+const {
+    mediaEvents,
+    setupWhatsAppWebRTC,
+    createWhatsAppOffer,
+    applyWhatsAppAnswer,
+    waitForMediaConnected,
+    getLocalSdp
+} = require('../services/webrtc.service');
+const { connectToElevenLabs, reconnectToElevenLabs } = require('../services/elevenlabs.service');
+const { preAcceptCall, acceptCall, rejectCall, terminateCall, initiateCall } = require('../services/aisensy.service');
 const { setupAudioBridge } = require('../audio/bridge');
+const { startRecording, finishRecording } = require('../services/recording.service');
+const { finishTranscript } = require('../services/transcript.service');
+const { logLifecycle } = require('../state/lifecycle');
+const { MEDIA_CONNECT_TIMEOUT_MS, MAX_CONCURRENT_CALLS } = require('../config');
+const logger = require('../utils/logger');
+
+// Slots held by outbound calls still being started (not yet in the session registry)
+let reservedCallSlots = 0;
+
+/**
+ * Whether MAX_CONCURRENT_CALLS calls are already active or being started (never, when it's 0)
+ */
+const isAtCallLimit = () => MAX_CONCURRENT_CALLS > 0 && session.getSessionCount() + reservedCallSlots >= MAX_CONCURRENT_CALLS;
+
+/**
+ * Hold a slot under MAX_CONCURRENT_CALLS while a call is started
+ *
+ * Returns a function releasing the slot (once the call is registered, or
+ * failed to start), or null when at the limit. Reserving synchronously keeps
+ * concurrent requests from all passing the check before any registers.
+ */
+function reserveCallSlot() {
+    if (isAtCallLimit()) {
+        return null;
+    }
+
+    reservedCallSlots++;
+    let released = false;
+    return () => {
+        if (!released) {
+            released = true;
+            reservedCallSlots--;
+        }
+    };
+}
+
+/**
+ * Stop call setup if the call ended (e.g. a remote terminate) while a step was running
+ */
+function ensureStillSettingUp(callSession) {
+    if (isTerminal(callSession) || callSession.state === CALL_STATES.ENDING) {
+        throw new Error(`Call ended during setup (${callSession.state})`);
+    }
+}
+
+/**
+ * Whether setup stopped because the call was ended meanwhile
+ *
+ * Anything setup opened after the call was cleaned up is closed here.
+ */
+function handleEndedDuringSetup(callSession, error) {
+    if (!isTerminal(callSession) && callSession.state !== CALL_STATES.ENDING) {
+        return false;
+    }
+
+    if (isTerminal(callSession)) {
+        closeSession(callSession);
+    }
+    callSession.logger.warn("Call ended during setup", { state: callSession.state, err: error });
+    return true;
+}
 
 /**
  * Handle incoming WhatsApp call - fully automated with ElevenLabs
+ *
+ * Runs outside the webhook job queue, so a terminate for the call can end it
+ * at any point; each step checks the call is still live before the next.
  */
-async function handleIncomingCall(callId, callerName, callerNumber) {
+async function handleIncomingCall(callSession, callerName, callerNumber) {
+    const callId = callSession.callId;
+    const log = callSession.logger;
+
     try {
-        console.log("🤖 Starting automated call handling with ElevenLabs...");
+        log.info("Starting automated call handling with ElevenLabs");
+
+        callSession.callerName = callerName;
+        callSession.callerNumber = callerNumber;
+
+        if (!transition(callSession, CALL_STATES.NEGOTIATING)) {
+            return;
+        }
 
         // Step 1: Setup WhatsApp WebRTC connection
-        console.log("🌉 Setting up WhatsApp WebRTC connection...");
-        await setupWhatsAppWebRTC();
+        log.info("Setting up WhatsApp WebRTC connection");
+        await setupWhatsAppWebRTC(callSession);
+        ensureStillSettingUp(callSession);
 
         // Step 2: Connect to ElevenLabs Conversational AI
-        console.log("🔌 Connecting to ElevenLabs Conversational AI...");
-        await connectToElevenLabs(callerName, callerNumber);
+        log.info("Connecting to ElevenLabs Conversational AI");
+        await connectToElevenLabs(callSession, callerName, callerNumber);
+        ensureStillSettingUp(callSession);
+        watchElevenLabsClose(callSession);
 
-        // Step 3: Setup audio bridge
-        console.log("🌉 Setting up audio bridge...");
-        setupAudioBridge();
+        // Step 3: Setup audio bridge (and recording, if enabled)
+        log.info("Setting up audio bridge");
+        startRecording(callSession);
+        setupAudioBridge(callSession);
 
-        // Step 4: Pre-accept and accept the call
-        const whatsappPc = session.getWhatsappPc();
-        console.log("📤 Sending pre-accept to AiSensy...");
-        const preAcceptSuccess = await preAcceptCall(callId, whatsappPc.localDescription.sdp);
+        // Step 4: Pre-accept so the media path can connect before the call is picked up
+        const answerSdp = getLocalSdp(callSession);
+        log.info("Sending pre-accept to AiSensy");
+        const preAcceptSuccess = await preAcceptCall(callId, answerSdp);
 
         if (!preAcceptSuccess) {
             throw new Error("Pre-accept failed");
         }
 
-        console.log("✅ Pre-accept successful, waiting 1s before accept...");
+        // Call may have been terminated while waiting for AiSensy
+        if (!transition(callSession, CALL_STATES.PRE_ACCEPTED)) {
+            return;
+        }
+
+        // Step 5: Accept once the WhatsApp media path is up
+        log.info("Pre-accept successful, waiting for media connection before accept");
+        const mediaConnected = await waitForMediaConnected(callSession, MEDIA_CONNECT_TIMEOUT_MS);
+        if (!mediaConnected) {
+            log.warn("Media not connected in time, accepting anyway", { timeoutMs: MEDIA_CONNECT_TIMEOUT_MS });
+        }
+
+        if (!canTransition(callSession, CALL_STATES.ACCEPTED)) {
+            log.warn("Not sending accept", { state: callSession.state });
+            return;
+        }
+
+        log.info("Sending accept to AiSensy");
+        const acceptSuccess = await acceptCall(callId, answerSdp);
+
+        if (!acceptSuccess) {
+            throw new Error("Accept failed");
+        }
+
+        if (!transition(callSession, CALL_STATES.ACCEPTED)) {
+            return;
+        }
+
+        log.info("Call accepted, ElevenLabs AI agent is now active");
+        enterConversationIfReady(callSession);
+
+    } catch (error) {
+        // Hung up or terminated while we were still setting up
+        if (handleEndedDuringSetup(callSession, error)) {
+            return;
+        }
+
+        log.error("Error in handleIncomingCall", { err: error });
+        cleanupConnections(callId, { failed: true, reason: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Start a business-initiated call to a customer
+ *
+ * Creates a local offer and sends it to AiSensy. The ElevenLabs bridge is
+ * started later, once the answer SDP arrives via webhook.
+ */
+async function startOutboundCall(phoneNumber, { callerName = null, agentContext = null, voiceProcessing = null, record = null } = {}) {
+    const callSession = new session.CallSession(null, 'outbound');
+    callSession.callerName = callerName;
+    callSession.callerNumber = phoneNumber;
+    callSession.agentContext = agentContext;
+    callSession.voiceProcessing = voiceProcessing;
+    callSession.recordingEnabled = record;
+
+    try {
+        logger.info("Starting outbound call", { to: phoneNumber });
+
+        const offerSdp = await createWhatsAppOffer(callSession);
+
+        logger.info("Sending call initiate to AiSensy", { to: phoneNumber });
+        const callId = await initiateCall(phoneNumber, offerSdp);
+
+        if (!callId) {
+            throw new Error("Call initiate failed");
+        }
+
+        callSession.callId = callId;
+        session.registerSession(callSession);
+        callSession.logger.info("Outbound call initiated, waiting for answer");
+
+        return callSession;
+    } catch (error) {
+        logger.error("Error in startOutboundCall", { to: phoneNumber, err: error });
+        closeSession(callSession);
+        throw error;
+    }
+}
+
+/**
+ * Handle the answer SDP for an outbound call and start the ElevenLabs bridge
+ *
+ * Like handleIncomingCall, runs outside the webhook job queue.
+ */
+async function handleOutboundAnswer(callSession, answerSdp) {
+    const callId = callSession.callId;
+    const log = callSession.logger;
+
+    try {
+        log.info("Outbound call answered, starting ElevenLabs bridge");
+
+        if (!transition(callSession, CALL_STATES.NEGOTIATING)) {
+            return;
+        }
+
+        // Step 1: Apply the callee's answer to our offer
+        await applyWhatsAppAnswer(callSession, answerSdp);
+        ensureStillSettingUp(callSession);
 
-        setTimeout(async () => {
-            console.log("📤 Sending accept to AiSensy...");
-            const acceptSuccess = await acceptCall(callId, whatsappPc.localDescription.sdp);
+        // Step 2: Connect to ElevenLabs Conversational AI
+        log.info("Connecting to ElevenLabs Conversational AI");
+        await connectToElevenLabs(callSession, callSession.callerName, callSession.callerNumber);
+        ensureStillSettingUp(callSession);
+        watchElevenLabsClose(callSession);
 
-            if (acceptSuccess) {
-                console.log("✅ Call accepted! ElevenLabs AI agent is now active.");
-                console.log("🎉 Automated call setup complete!");
-            } else {
-                console.error("❌ Accept failed!");
-            }
-        }, 1000);
+        // Step 3: Setup audio bridge (and recording, if enabled)
+        log.info("Setting up audio bridge");
+        startRecording(callSession);
+        setupAudioBridge(callSession);
+
+        if (!transition(callSession, CALL_STATES.ACCEPTED)) {
+            return;
+        }
 
+        enterConversationIfReady(callSession);
+        log.info("Outbound call setup complete");
     } catch (error) {
-        console.error("❌ Error in handleIncomingCall:", error);
-        cleanupConnections();
+        // Hung up or terminated while we were still setting up
+        if (handleEndedDuringSetup(callSession, error)) {
+            return;
+        }
+
+        log.error("Error in handleOutboundAnswer", { err: error });
+        cleanupConnections(callId, { failed: true, reason: error.message });
         throw error;
     }
 }
 
 /**
- * Cleanup all connections
+ * React to the ElevenLabs socket closing mid-call
+ *
+ * A normal close (1000) means the agent ended the conversation, so the call
+ * is hung up. Any other close is treated as a dropped connection: the caller
+ * hears a hold tone while we reconnect, and the call is only ended if every
+ * reconnect attempt fails. Closes caused by our own cleanup are ignored.
+ */
+function watchElevenLabsClose(callSession) {
+    const elevenLabsWs = callSession.elevenLabsWs;
+
+    elevenLabsWs.on("close", (code) => {
+        const callId = callSession.callId;
+        if (session.getSession(callId) !== callSession || callSession.elevenLabsWs !== elevenLabsWs) {
+            return;
+        }
+
+        if (code === 1000) {
+            callSession.logger.info("ElevenLabs conversation ended, hanging up", { reason: "agent_ended", code });
+            hangupCall(callId, "agent_ended").catch((error) => {
+                callSession.logger.error("Error hanging up call", { err: error });
+            });
+            return;
+        }
+
+        recoverElevenLabs(callSession, code).catch((error) => {
+            callSession.logger.error("Error recovering ElevenLabs connection", { err: error });
+        });
+    });
+}
+
+/**
+ * Reconnect ElevenLabs with a hold tone playing, or end the call if that fails
+ */
+async function recoverElevenLabs(callSession, code) {
+    const callId = callSession.callId;
+    const isLive = () => session.getSession(callId) === callSession && !isTerminal(callSession) && callSession.state !== CALL_STATES.ENDING;
+
+    callSession.logger.warn("ElevenLabs connection dropped, reconnecting", { code });
+    logLifecycle(callId, "elevenlabs_disconnected", { code });
+
+    callSession.elevenLabsWs = null;
+    callSession.elevenLabsReconnecting = true;
+    playback.startHoldTone(callSession);
+
+    const reconnected = await reconnectToElevenLabs(callSession, isLive);
+
+    callSession.elevenLabsReconnecting = false;
+    playback.stopHoldTone(callSession);
+
+    if (reconnected) {
+        watchElevenLabsClose(callSession);
+        return;
+    }
+
+    if (isLive()) {
+        callSession.logger.error("Could not reconnect to ElevenLabs, hanging up");
+        await hangupCall(callId, "elevenlabs_disconnected");
+    }
+}
+
+// Media path couldn't be recovered - hang up rather than leave the caller on a silent line
+mediaEvents.on("lost", ({ callSession, reason }) => {
+    const callId = callSession.callId;
+    if (!callId || session.getSession(callId) !== callSession) {
+        return;
+    }
+
+    hangupCall(callId, reason).catch((error) => {
+        callSession.logger.error("Error hanging up call", { err: error });
+    });
+});
+
+/**
+ * Hang up an active call via AiSensy and clean up locally
+ *
+ * Returns false if the call is unknown
+ */
+async function hangupCall(callId, reason = "hangup") {
+    const callSession = session.getSession(callId);
+    if (!callSession) {
+        return false;
+    }
+
+    callSession.endReason = reason;
+    transition(callSession, CALL_STATES.ENDING, { reason });
+
+    callSession.logger.info("Sending terminate to AiSensy", { reason });
+    const terminateSuccess = await terminateCall(callId);
+    if (!terminateSuccess) {
+        callSession.logger.error("Terminate failed, cleaning up locally anyway");
+    }
+
+    cleanupConnections(callId, { reason });
+    return true;
+}
+
+/**
+ * Reject an incoming call via AiSensy and clean up locally
+ *
+ * `reason` is "busy" when the call was turned away at MAX_CONCURRENT_CALLS.
+ * Returns false if the call is unknown
  */
-function cleanupConnections() {
-    console.log("🧹 Cleaning up connections...");
+async function rejectIncomingCall(callId, reason = "rejected") {
+    const callSession = session.getSession(callId);
+    if (!callSession) {
+        return false;
+    }
+
+    callSession.endReason = reason;
+    transition(callSession, CALL_STATES.ENDING, { reason });
+
+    callSession.logger.info("Sending reject to AiSensy", { reason });
+    const rejectSuccess = await rejectCall(callId);
+    if (!rejectSuccess) {
+        callSession.logger.error("Reject failed, cleaning up locally anyway");
+    }
+
+    cleanupConnections(callId, { reason });
+    return true;
+}
+
+/**
+ * Close every resource held by a session
+ */
+function closeSession(callSession) {
+    // Stop waiting for media recovery
+    clearTimeout(callSession.iceRecoveryTimer);
+    callSession.iceRecoveryTimer = null;
 
     // Stop audio sink
-    const audioSink = session.getAudioSink();
-    if (audioSink) {
-        audioSink.stop();
-        session.setAudioSink(null);
+    if (callSession.audioSink) {
+        callSession.audioSink.stop();
+        callSession.audioSink = null;
     }
 
     // Stop audio source track
-    const audioSenderTrack = session.getAudioSenderTrack();
-    if (audioSenderTrack) {
-        audioSenderTrack.stop();
-        session.setAudioSenderTrack(null);
+    if (callSession.audioSenderTrack) {
+        callSession.audioSenderTrack.stop();
+        callSession.audioSenderTrack = null;
     }
-    session.setAudioSource(null);
+    callSession.audioSource = null;
 
     // Close WhatsApp peer connection
-    const whatsappPc = session.getWhatsappPc();
-    if (whatsappPc) {
-        whatsappPc.close();
-        session.setWhatsappPc(null);
+    if (callSession.whatsappPc) {
+        callSession.whatsappPc.close();
+        callSession.whatsappPc = null;
     }
 
     // Close ElevenLabs WebSocket
-    const elevenLabsWs = session.getElevenLabsWs();
-    if (elevenLabsWs) {
-        elevenLabsWs.close();
-        session.setElevenLabsWs(null);
+    if (callSession.elevenLabsWs) {
+        callSession.elevenLabsWs.close();
+        callSession.elevenLabsWs = null;
     }
 
-    // Reset session state
-    session.setWhatsappStream(null);
-    session.setWhatsappOfferSdp(null);
-    session.setCurrentCallId(null);
-    session.setConversationId(null);
-
     // Reset playback state
-    playback.resetPlayback();
+    playback.resetPlayback(callSession);
+}
+
+/**
+ * Cleanup all connections for a single call and remove it from the registry
+ *
+ * Moves the call through ending to ended, or to failed when `failed` is set.
+ */
+function cleanupConnections(callId, { failed = false, reason = null } = {}) {
+    const callSession = session.getSession(callId);
+    if (!callSession) {
+        return;
+    }
+
+    callSession.logger.info("Cleaning up connections");
+
+    if (!failed && callSession.state !== CALL_STATES.ENDING && !isTerminal(callSession)) {
+        transition(callSession, CALL_STATES.ENDING, reason && { reason });
+    }
 
-    console.log("✅ All connections cleaned up");
+    closeSession(callSession);
+    session.removeSession(callId);
+
+    if (!isTerminal(callSession)) {
+        callSession.endedAt = callSession.endedAt || Date.now();
+        transition(callSession, failed ? CALL_STATES.FAILED : CALL_STATES.ENDED, reason && { reason });
+    }
+
+    // Audio has stopped - write out the recording and transcript with the call's final state
+    finishRecording(callSession);
+    finishTranscript(callSession);
+
+    callSession.logger.info("All connections cleaned up", {
+        state: callSession.state,
+        interruptions: callSession.interruptionCount,
+        interruptedSpeechMs: callSession.interruptedSpeechMs,
+        playbackUnderruns: callSession.playbackUnderruns,
+        playbackOverruns: callSession.playbackOverruns
+    });
+}
+
+/**
+ * Cleanup every active call (used on shutdown)
+ */
+function cleanupAllConnections() {
+    session.getAllSessions().forEach((callSession) => {
+        cleanupConnections(callSession.callId, { reason: "shutdown" });
+    });
 }
 
 module.exports = {
+    isAtCallLimit,
+    reserveCallSlot,
     handleIncomingCall,
-    cleanupConnections
+    startOutboundCall,
+    handleOutboundAnswer,
+    hangupCall,
+    rejectIncomingCall,
+    cleanupConnections,
+    cleanupAllConnections
 };
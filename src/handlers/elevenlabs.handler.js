@@ -3,31 +3,54 @@
  */
 
 const WebSocket = require('ws');
-const session = require('../state/session');
 const playback = require('../audio/playback');
+const { enterConversationIfReady } = require('../state/call-state');
+const { logLifecycle } = require('../state/lifecycle');
+const {
+    audioFramesTotal,
+    firstAgentAudioDuration,
+    agentInterruptionsTotal,
+    agentSpeechCutOffSeconds
+} = require('../utils/metrics');
+const { WHATSAPP_SAMPLE_RATE, ELEVENLABS_INPUT_SAMPLE_RATE, ELEVENLABS_OUTPUT_SAMPLE_RATE } = require('../config');
+const { SUPPORTED_FORMATS, parseAudioFormat, getAudioDurationMs, decodeAudio } = require('../audio/formats');
+const { Resampler } = require('../audio/resampler');
+const { addTranscriptTurn, correctAgentTurn } = require('../services/transcript.service');
+
+// Agent audio held while waiting for conversation metadata (~5s of 48kHz PCM)
+const MAX_PENDING_AGENT_AUDIO_BYTES = 480000;
 
 /**
  * Handle control/text messages from ElevenLabs
  */
-function handleElevenLabsMessage(message) {
-    const elevenLabsWs = session.getElevenLabsWs();
+function handleElevenLabsMessage(callSession, message) {
+    const elevenLabsWs = callSession.elevenLabsWs;
+    const log = callSession.logger;
+
+    if (message.type !== "audio") {
+        log.debug("ElevenLabs message", { type: message.type, message });
+    }
 
-    console.log("📩 ElevenLabs message:", message);
     switch (message.type) {
         case "conversation_initiation_metadata":
             // Correct path: message.conversation_initiation_metadata_event.conversation_id
-            const convId = message.conversation_initiation_metadata_event?.conversation_id || message.conversation_id;
-            session.setConversationId(convId);
-            console.log(`📋 ElevenLabs conversation started: ${convId}`);
-            console.log(`   Output format: ${message.conversation_initiation_metadata_event?.agent_output_audio_format}`);
-            console.log(`   Input format: ${message.conversation_initiation_metadata_event?.user_input_audio_format}`);
+            const metadata = message.conversation_initiation_metadata_event || {};
+            const convId = metadata.conversation_id || message.conversation_id;
+            if (callSession.conversationId && callSession.conversationId !== convId) {
+                callSession.previousConversationIds.push(callSession.conversationId);
+            }
+            callSession.conversationId = convId;
+            log.info("ElevenLabs conversation started");
+            applyAudioFormats(callSession, metadata);
+            enterConversationIfReady(callSession);
             break;
 
         case "user_transcript":
             // Check both possible paths
             const userText = message.user_transcript_event?.user_transcript || message.user_transcript?.text;
             if (userText) {
-                console.log(`🎤 Caller said: "${userText}"`);
+                log.info("Caller said", { text: userText });
+                addTranscriptTurn(callSession, "user", userText, message.user_transcript_event?.event_id);
             }
             break;
 
@@ -35,24 +58,27 @@ function handleElevenLabsMessage(message) {
             // Check both possible paths
             const agentText = message.agent_response_event?.agent_response || message.agent_response?.text;
             if (agentText) {
-                console.log(`🤖 AI Agent: "${agentText}"`);
+                log.info("AI agent said", { text: agentText });
+                addTranscriptTurn(callSession, "agent", agentText, message.agent_response_event?.event_id);
             }
             break;
 
         case "audio":
             // Audio is sent as base64 in JSON messages
-            if (message.audio) {
+            if (isInterruptedAudio(callSession, message.audio_event?.event_id)) {
+                discardInterruptedAudio(callSession, message.audio_event.audio_base_64 || message.audio);
+            } else if (message.audio) {
                 const audioData = Buffer.from(message.audio, 'base64');
-                if (playback.getElevenLabsAudioCount() < 5) {
-                    console.log(`🔊 Audio in JSON: ${audioData.length} bytes (decoded from base64)`);
+                if (playback.getElevenLabsAudioCount(callSession) < 5) {
+                    log.debug("Audio in JSON (decoded from base64)", { bytes: audioData.length });
                 }
-                handleElevenLabsAudio(audioData);
+                handleElevenLabsAudio(callSession, audioData);
             } else if (message.audio_event?.audio_base_64) {
                 const audioData = Buffer.from(message.audio_event.audio_base_64, 'base64');
-                if (playback.getElevenLabsAudioCount() < 5) {
-                    console.log(`🔊 Audio event: ${audioData.length} bytes (decoded from base64)`);
+                if (playback.getElevenLabsAudioCount(callSession) < 5) {
+                    log.debug("Audio event (decoded from base64)", { bytes: audioData.length });
                 }
-                handleElevenLabsAudio(audioData);
+                handleElevenLabsAudio(callSession, audioData);
             }
             break;
 
@@ -65,82 +91,196 @@ function handleElevenLabsMessage(message) {
                     event_id: pingEventId
                 };
                 elevenLabsWs.send(JSON.stringify(pongMessage));
-                console.log(`🏓 Sent pong for event_id: ${pingEventId}`);
+                log.debug("Sent pong", { eventId: pingEventId });
             }
             break;
 
         case "interruption":
-            console.log("🔇 User interrupted the agent");
+            handleInterruption(callSession, message.interruption_event?.event_id);
             break;
 
         case "agent_response_correction":
-            console.log("🔄 Agent response corrected");
+            // Sent after a barge-in, with what the agent actually got to say
+            const correction = message.agent_response_correction_event || {};
+            const correctedTurn = correctAgentTurn(callSession, correction.original_agent_response, correction.corrected_agent_response);
+            log.info("Agent response corrected", { text: correction.corrected_agent_response, matched: Boolean(correctedTurn) });
             break;
 
         default:
-            console.log(`📩 ElevenLabs message type: ${message.type}`);
+            log.debug("Unhandled ElevenLabs message type", { type: message.type });
+    }
+}
+
+/**
+ * Caller barged in - stop the agent's queued speech right away
+ *
+ * Queued playback is faded out and dropped, and audio events up to the
+ * interruption's event ID are discarded when they arrive late (see
+ * isInterruptedAudio). How much agent speech was cut off is kept on the
+ * session, in the lifecycle log and in metrics.
+ */
+function handleInterruption(callSession, eventId) {
+    const id = Number(eventId);
+    if (Number.isFinite(id)) {
+        callSession.lastInterruptedEventId = Math.max(callSession.lastInterruptedEventId ?? id, id);
+    }
+
+    // Audio still waiting for the output format belongs to the interrupted response too
+    callSession.pendingAgentAudio = [];
+
+    const droppedSamples = playback.flushPlayback(callSession);
+    const cutOffMs = Math.round((droppedSamples / WHATSAPP_SAMPLE_RATE) * 1000);
+
+    callSession.interruptionCount++;
+    callSession.interruptedSpeechMs += cutOffMs;
+    agentInterruptionsTotal.inc();
+    agentSpeechCutOffSeconds.inc({ source: "buffered" }, cutOffMs / 1000);
+
+    callSession.logger.info("User interrupted the agent", { eventId, cutOffMs });
+    logLifecycle(callSession.callId, "agent_interrupted", { eventId, cutOffMs });
+}
+
+/**
+ * Whether an audio event belongs to a response that was already interrupted
+ */
+function isInterruptedAudio(callSession, eventId) {
+    return callSession.lastInterruptedEventId !== null
+        && eventId !== undefined
+        && Number(eventId) <= callSession.lastInterruptedEventId;
+}
+
+/**
+ * Drop a late chunk of interrupted agent audio, counting it as cut-off speech
+ */
+function discardInterruptedAudio(callSession, audioBase64) {
+    const format = callSession.agentOutputFormat;
+    const byteLength = audioBase64 ? Buffer.byteLength(audioBase64, 'base64') : 0;
+    const cutOffMs = format ? Math.round(getAudioDurationMs(byteLength, format)) : 0;
+
+    callSession.interruptedSpeechMs += cutOffMs;
+    agentSpeechCutOffSeconds.inc({ source: "late" }, cutOffMs / 1000);
+    callSession.logger.debug("Discarded audio from interrupted response", { bytes: byteLength, cutOffMs });
+}
+
+/**
+ * Resolve an announced format, falling back to PCM at the configured rate
+ */
+function resolveAudioFormat(callSession, field, announced, fallbackRate) {
+    const format = parseAudioFormat(announced);
+    if (format) {
+        return format;
     }
+
+    const fallback = { name: `pcm_${fallbackRate}`, encoding: "pcm", sampleRate: fallbackRate };
+    callSession.logger.warn("Unsupported or missing ElevenLabs audio format - using fallback", {
+        field,
+        announced,
+        fallback: fallback.name,
+        supported: SUPPORTED_FORMATS
+    });
+    return fallback;
 }
 
-// Note: μ-law decoder removed - ElevenLabs sends PCM 48kHz directly
+/**
+ * Pick the decoder/resampler for each direction from the conversation metadata
+ *
+ * Agent audio that arrived before the metadata is played out once the
+ * output format is known.
+ */
+function applyAudioFormats(callSession, metadata = {}) {
+    const outputFormat = resolveAudioFormat(callSession, "agent_output_audio_format", metadata.agent_output_audio_format, ELEVENLABS_OUTPUT_SAMPLE_RATE);
+    const inputFormat = resolveAudioFormat(callSession, "user_input_audio_format", metadata.user_input_audio_format, ELEVENLABS_INPUT_SAMPLE_RATE);
+
+    callSession.agentOutputFormat = outputFormat;
+    callSession.userInputFormat = inputFormat;
+    callSession.agentResampler = new Resampler({ inputRate: outputFormat.sampleRate, outputRate: WHATSAPP_SAMPLE_RATE });
+
+    callSession.logger.info("ElevenLabs audio formats", {
+        outputFormat: outputFormat.name,
+        inputFormat: inputFormat.name
+    });
+
+    const pending = callSession.pendingAgentAudio;
+    callSession.pendingAgentAudio = [];
+    if (pending.length > 0) {
+        callSession.logger.debug("Playing agent audio buffered before metadata", { chunks: pending.length });
+        for (const audioData of pending) {
+            playAgentAudio(callSession, audioData);
+        }
+    }
+}
 
 /**
  * Handle audio data from ElevenLabs
- * 
- * ElevenLabs Conversational AI outputs 48kHz PCM - same as WhatsApp!
- * Binary data is raw 16-bit PCM samples at 48kHz
- * NO CONVERSION NEEDED - direct passthrough to WhatsApp
+ *
+ * Decoded and resampled according to the agent's announced output format
+ * (see applyAudioFormats). Until that format is known, chunks are held in
+ * callSession.pendingAgentAudio.
  */
-function handleElevenLabsAudio(audioData) {
+function handleElevenLabsAudio(callSession, audioData) {
     try {
-        const audioSource = session.getAudioSource();
+        const audioSource = callSession.audioSource;
 
         if (!audioSource) {
-            console.log("⚠️ No audioSource - skipping ElevenLabs audio");
+            callSession.logger.warn("No audioSource - skipping ElevenLabs audio");
             return;
         }
 
-        playback.incrementElevenLabsAudioCount();
-        const elevenLabsAudioCount = playback.getElevenLabsAudioCount();
+        playback.incrementElevenLabsAudioCount(callSession);
+        audioFramesTotal.inc({ leg: "elevenlabs", direction: "in" });
 
-        // Get buffer data
-        let pcmData;
-        if (Buffer.isBuffer(audioData)) {
-            pcmData = audioData;
-        } else {
-            pcmData = Buffer.from(audioData, 'base64');
+        if (!callSession.firstAgentAudioAt) {
+            callSession.firstAgentAudioAt = Date.now();
+            if (callSession.elevenLabsConnectedAt) {
+                firstAgentAudioDuration.observe((callSession.firstAgentAudioAt - callSession.elevenLabsConnectedAt) / 1000);
+            }
         }
 
-        // Log audio info periodically
-        if (elevenLabsAudioCount % 20 === 1) {
-            console.log(`🔊 ElevenLabs audio #${elevenLabsAudioCount}: ${pcmData.length} bytes (PCM 48kHz - direct!)`);
-        }
+        const data = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData, 'base64');
 
-        // Ensure even byte length for 16-bit samples
-        if (pcmData.length % 2 !== 0) {
-            pcmData = pcmData.slice(0, pcmData.length - 1);
-        }
+        if (!callSession.agentOutputFormat) {
+            callSession.pendingAgentAudio.push(data);
 
-        if (pcmData.length < 2) {
+            const pendingBytes = callSession.pendingAgentAudio.reduce((total, chunk) => total + chunk.length, 0);
+            if (pendingBytes > MAX_PENDING_AGENT_AUDIO_BYTES) {
+                // Metadata never came - better to guess than to keep the caller in silence
+                callSession.logger.warn("No ElevenLabs audio format announced - assuming fallback formats", { pendingBytes });
+                applyAudioFormats(callSession);
+            }
             return;
         }
 
-        // Copy to aligned buffer and convert to Int16Array
-        const alignedBuffer = Buffer.alloc(pcmData.length);
-        pcmData.copy(alignedBuffer);
+        playAgentAudio(callSession, data);
 
-        // ElevenLabs sends PCM 48kHz - same as WhatsApp! No upsampling needed!
-        const samples48k = new Int16Array(alignedBuffer.buffer, alignedBuffer.byteOffset, alignedBuffer.length / 2);
+    } catch (error) {
+        callSession.logger.error("Error handling ElevenLabs audio", { err: error });
+    }
+}
 
-        // Add to playback buffer (global buffer for paced playback)
-        playback.addToPlaybackBuffer(samples48k);
+/**
+ * Decode, resample to the WhatsApp rate and queue for paced playback
+ */
+function playAgentAudio(callSession, data) {
+    const format = callSession.agentOutputFormat;
+    const elevenLabsAudioCount = playback.getElevenLabsAudioCount(callSession);
 
-        // Start the playback timer if not already running
-        playback.startAudioPlayback();
+    // Log audio info periodically
+    if (elevenLabsAudioCount % 20 === 1) {
+        callSession.logger.debug("ElevenLabs audio", { chunk: elevenLabsAudioCount, bytes: data.length, format: format.name });
+    }
 
-    } catch (error) {
-        console.error("❌ Error handling ElevenLabs audio:", error.message);
+    const samples = decodeAudio(data, format);
+    if (samples.length === 0) {
+        return;
     }
+
+    const resampled = callSession.agentResampler.process(samples);
+
+    // Add to this call's playback buffer (paced playback)
+    playback.addToPlaybackBuffer(callSession, resampled);
+
+    // Start the playback timer if not already running
+    playback.startAudioPlayback(callSession);
 }
 
 module.exports = {
@@ -0,0 +1,196 @@
+/**
+ * Webhook Event Handler
+ * 
+ * Dispatches normalized webhook events (see utils/webhook.normalizer.js)
+ * to the call handler. Runs from the webhook job queue after the delivery has
+ * been acknowledged; each handler returns a small result object for logging.
+ */
+
+const session = require('../state/session');
+const webhookEvents = require('../state/webhook-events');
+const { logLifecycle } = require('../state/lifecycle');
+const logger = require('../utils/logger');
+const {
+    isAtCallLimit,
+    handleIncomingCall,
+    handleOutboundAnswer,
+    rejectIncomingCall,
+    cleanupConnections
+} = require('./call.handler');
+const { MAX_CONCURRENT_CALLS } = require('../config');
+
+/**
+ * Run call setup without holding up the call's webhook queue
+ *
+ * Setup takes seconds (track, ICE gathering, ElevenLabs, pre-accept, media,
+ * accept). Awaiting it in the per-call job would hold a 'terminate' for the
+ * same call until setup finished - so the call would still be accepted after
+ * the caller hung up. The call handler cleans up on failure; here the failure
+ * is recorded and the connect forgotten so a redelivery can try again.
+ */
+function startCallSetup(event, setup) {
+    setup.catch((error) => {
+        webhookEvents.forgetEvent(event.callId, event.event, event.timestamp);
+        logLifecycle(event.callId, "webhook_failed", { event: event.event, error: error.message });
+    });
+}
+
+/**
+ * Handle a call 'connect' event - an incoming call, or the answer to an outbound call
+ *
+ * Only starts call setup; see startCallSetup.
+ */
+function handleCallConnect(event) {
+    const { callId, from: callerNumber, to: receiverNumber } = event;
+    const result = { type: "call", callId, event: event.event };
+    const log = logger.child({ callId });
+
+    log.info("Processing call 'connect' event");
+
+    // Extract SDP from session object
+    if (!event.sdp) {
+        log.warn("No SDP found in call.session");
+        return { ...result, message: "Missing SDP" };
+    }
+
+    // Outbound call we started: this 'connect' carries the callee's answer
+    const existingSession = session.getSession(callId);
+    if (existingSession && existingSession.direction === 'outbound') {
+        if (existingSession.whatsappPc?.remoteDescription) {
+            log.warn("Answer already applied, ignoring connect");
+            return { ...result, duplicate: true };
+        }
+
+        log.info("Outbound call answered", { to: receiverNumber });
+        startCallSetup(event, handleOutboundAnswer(existingSession, event.sdp));
+        return { ...result, message: "Setup started" };
+    }
+
+    // Terminate arrived before this connect - the caller already hung up
+    if (webhookEvents.isCallTerminated(callId)) {
+        log.warn("Connect for already terminated call, ignoring");
+        return { ...result, message: "Call already terminated" };
+    }
+
+    // Retry with a different timestamp while setup is still running
+    if (existingSession) {
+        log.warn("Call is already being handled, ignoring connect");
+        return { ...result, duplicate: true };
+    }
+
+    // Full - turn the caller away rather than set up a call we can't carry
+    if (isAtCallLimit()) {
+        log.warn("At MAX_CONCURRENT_CALLS, rejecting incoming call", { maxCalls: MAX_CONCURRENT_CALLS, from: callerNumber });
+        session.createSession(callId);
+        startCallSetup(event, rejectIncomingCall(callId, "busy"));
+        return { ...result, message: "Rejected (busy)" };
+    }
+
+    const callSession = session.createSession(callId);
+    callSession.whatsappOfferSdp = event.sdp;
+    log.info("Incoming call", { callerName: event.callerName, from: callerNumber });
+
+    // Initialize automated call handling with ElevenLabs
+    startCallSetup(event, handleIncomingCall(callSession, event.callerName, callerNumber));
+    return { ...result, message: "Setup started" };
+}
+
+/**
+ * Handle a call 'terminate' event - tear down only the named call
+ */
+function handleCallTerminate(event) {
+    const { callId, status: callStatus } = event;
+    const result = { type: "call", callId, event: event.event };
+    const log = logger.child({ callId });
+
+    log.info("Processing call 'terminate' event", { status: callStatus });
+
+    // Remember the terminate in case its connect is still on the way
+    webhookEvents.markCallTerminated(callId);
+
+    // Only tear down the call this terminate is for
+    const callSession = session.getSession(callId);
+    if (!callSession) {
+        log.warn("Terminate for unknown call, ignoring");
+        return { ...result, message: "Unknown call ID" };
+    }
+
+    callSession.terminateStatus = callStatus || null;
+    callSession.duration = event.duration;
+    callSession.endedAt = Date.now();
+    callSession.logger.info("Call ended by remote", {
+        status: callSession.terminateStatus,
+        durationSeconds: callSession.duration
+    });
+
+    // Cleanup
+    cleanupConnections(callId, { reason: "remote_terminate" });
+    return result;
+}
+
+/**
+ * Handle a call event, skipping deliveries already processed
+ */
+async function handleCallEvent(event) {
+    const { callId, event: callEvent, timestamp } = event;
+
+    if (!callId) {
+        logger.error("No call ID found in webhook data", { event: callEvent });
+        return { type: "call", event: callEvent, message: "Missing call ID" };
+    }
+
+    const log = logger.child({ callId });
+    log.info("Call event", { event: callEvent, status: event.status, from: event.from, to: event.to });
+
+    // AiSensy retries deliveries - process each call event only once
+    if (webhookEvents.isDuplicateEvent(callId, callEvent, timestamp)) {
+        log.info("Duplicate call event delivery, ignoring", { event: callEvent });
+        return { type: "call", callId, event: callEvent, duplicate: true };
+    }
+
+    logLifecycle(callId, `webhook_${callEvent}`, { status: event.status, timestamp });
+
+    try {
+        if (callEvent === "connect") {
+            return handleCallConnect(event);
+        }
+
+        if (callEvent === "terminate") {
+            return handleCallTerminate(event);
+        }
+
+        log.warn("Unhandled call event", { event: callEvent });
+        return { type: "call", callId, event: callEvent, message: "Unhandled event" };
+    } catch (error) {
+        log.error("Error in call event handler", { event: callEvent, err: error });
+        // Let a redelivery try again
+        webhookEvents.forgetEvent(callId, callEvent, timestamp);
+        throw error;
+    }
+}
+
+/**
+ * Dispatch a single normalized webhook event
+ */
+async function dispatchWebhookEvent(event) {
+    switch (event.type) {
+        case "call":
+            return handleCallEvent(event);
+
+        case "status":
+            logger.info("Status update", { id: event.id, status: event.status });
+            return { type: "status", id: event.id, status: event.status };
+
+        case "message":
+            logger.info("Message not handled", { id: event.id, from: event.from, messageType: event.messageType });
+            return { type: "message", id: event.id, message: "Unhandled event" };
+
+        default:
+            logger.warn("Unhandled webhook event type", { type: event.type });
+            return { type: event.type, message: "Unhandled event" };
+    }
+}
+
+module.exports = {
+    dispatchWebhookEvent
+};
@@ -6,48 +6,69 @@
 
 require('dotenv').config();
 
+// Validate configuration before anything reads it - exit with the full list of problems
+const { getSettings, ConfigError } = require('./config/loader');
+try {
+    getSettings();
+} catch (error) {
+    if (error instanceof ConfigError) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
+
 const http = require('http');
 const app = require('./app');
-const { cleanupConnections } = require('./handlers/call.handler');
-const { ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID } = require('./config');
+const { cleanupAllConnections } = require('./handlers/call.handler');
+const { ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID, PORT } = require('./config');
+const { getMissingConfig } = require('./services/readiness.service');
+const { startRetentionJob, waitForRecordings } = require('./services/recording.service');
+const { startTranscriptRetentionJob, waitForTranscripts } = require('./services/transcript.service');
+const logger = require('./utils/logger');
 
 // Create HTTP server
 const server = http.createServer(app);
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('⚠️ SIGTERM received, cleaning up...');
-    cleanupConnections();
-    server.close(() => {
-        console.log('Server closed');
+    logger.warn("SIGTERM received, cleaning up");
+    cleanupAllConnections();
+    server.close(async () => {
+        await Promise.all([waitForRecordings(), waitForTranscripts()]);
+        logger.info("Server closed");
         process.exit(0);
     });
 });
 
 process.on('SIGINT', () => {
-    console.log('⚠️ SIGINT received, cleaning up...');
-    cleanupConnections();
-    server.close(() => {
-        console.log('Server closed');
+    logger.warn("SIGINT received, cleaning up");
+    cleanupAllConnections();
+    server.close(async () => {
+        await Promise.all([waitForRecordings(), waitForTranscripts()]);
+        logger.info("Server closed");
         process.exit(0);
     });
 });
 
 // Start the server
-const PORT = process.env.PORT || 19000;
 server.listen(PORT, "0.0.0.0", () => {
-    console.log(`========================================`);
-    console.log(`🚀 AiSensy + ElevenLabs AI Call Server`);
-    console.log(`========================================`);
-    console.log(`✅ Server running at http://0.0.0.0:${PORT}`);
-    console.log(`📥 Webhook endpoint: /aisensy-webhook`);
-    console.log(`🤖 AI Agent: ElevenLabs Conversational AI`);
-    console.log(`🔊 Audio: Opus 48kHz (native support)`);
-    console.log(`📞 Mode: Fully Automated Server-Side`);
-    console.log(`========================================`);
-    console.log(`⚙️  Agent ID: ${ELEVENLABS_AGENT_ID ? '✅ Configured' : '❌ Missing'}`);
-    console.log(`🔑 API Key: ${ELEVENLABS_API_KEY ? '✅ Configured' : '❌ Missing'}`);
-    console.log(`========================================`);
+    logger.info("AiSensy + ElevenLabs AI Call Server running", {
+        url: `http://0.0.0.0:${PORT}`,
+        webhookEndpoint: "/aisensy-webhook",
+        aiAgent: "ElevenLabs Conversational AI",
+        audio: "Opus 48kHz (native support)",
+        agentIdConfigured: Boolean(ELEVENLABS_AGENT_ID),
+        apiKeyConfigured: Boolean(ELEVENLABS_API_KEY)
+    });
+
+    startRetentionJob();
+    startTranscriptRetentionJob();
+
+    const missingConfig = getMissingConfig();
+    if (missingConfig.length > 0) {
+        logger.warn("Required configuration missing - /ready will fail", { missing: missingConfig });
+    }
 });
 
 module.exports = server;
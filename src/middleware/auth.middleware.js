@@ -0,0 +1,58 @@
+/**
+ * Call API Authentication Middleware
+ *
+ * Requires the shared CALL_API_KEY on requests to the call API, sent as
+ * "Authorization: Bearer <key>" or "X-API-Key: <key>". Fails closed: with no
+ * key configured every request is refused, since these endpoints place calls
+ * and expose call audio and transcripts.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { CALL_API_KEY } = require('../config');
+
+// Compared as digests so the comparison is constant-time whatever the lengths
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Key sent with a request, or null
+ */
+function getProvidedKey(req) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : req.get('x-api-key') || null;
+}
+
+/**
+ * Create API key middleware
+ *
+ * Options default to the call API config.
+ */
+function requireApiKey({ apiKey = CALL_API_KEY } = {}) {
+    if (!apiKey) {
+        logger.warn("CALL_API_KEY not set - the call API is disabled");
+        return (req, res) => {
+            res.status(503).json({ error: "Call API disabled", message: "CALL_API_KEY is not configured" });
+        };
+    }
+
+    const expected = digest(apiKey);
+
+    return (req, res, next) => {
+        const provided = getProvidedKey(req);
+        if (!provided) {
+            logger.warn("Call API request rejected: missing API key", { path: req.path });
+            return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: "Missing API key" });
+        }
+
+        if (!crypto.timingSafeEqual(digest(provided), expected)) {
+            logger.warn("Call API request rejected: invalid API key", { path: req.path });
+            return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error: "Invalid API key" });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    requireApiKey
+};
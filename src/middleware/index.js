@@ -0,0 +1,15 @@
+/**
+ * Middleware Index
+ * 
+ * Aggregates all middleware modules
+ */
+
+const { verifyWebhookSignature } = require('./signature.middleware');
+const { preventWebhookReplay } = require('./replay.middleware');
+const { requireApiKey } = require('./auth.middleware');
+
+module.exports = {
+    verifyWebhookSignature,
+    preventWebhookReplay,
+    requireApiKey
+};
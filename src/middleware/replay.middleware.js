@@ -0,0 +1,101 @@
+/**
+ * Webhook Replay Protection Middleware
+ * 
+ * Drops deliveries whose timestamp is outside the allowed window, and deliveries
+ * whose signature was already seen inside that window.
+ *
+ * Deliveries are identified by their normalized signature digest only: it
+ * covers the timestamp and body, while any other header (a nonce, say) is
+ * unsigned and could be changed to slip a replay past the check.
+ */
+
+const logger = require('../utils/logger');
+const { parseSignature } = require('./signature.middleware');
+const {
+    WEBHOOK_SECRET,
+    WEBHOOK_SIGNATURE_HEADER,
+    WEBHOOK_TIMESTAMP_HEADER,
+    WEBHOOK_TOLERANCE_SECONDS
+} = require('../config');
+
+/**
+ * Parse a timestamp header (unix seconds, unix milliseconds or ISO date) to ms
+ */
+function parseTimestamp(value) {
+    if (/^\d+$/.test(value)) {
+        const num = parseInt(value, 10);
+        // Anything this large is already in milliseconds
+        return num > 1e12 ? num : num * 1000;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Create replay protection middleware
+ * 
+ * Enabled by default whenever a webhook secret is configured, since an
+ * unsigned timestamp proves nothing.
+ */
+function preventWebhookReplay({
+    enabled = Boolean(WEBHOOK_SECRET),
+    toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS,
+    timestampHeader = WEBHOOK_TIMESTAMP_HEADER,
+    signatureHeader = WEBHOOK_SIGNATURE_HEADER,
+    now = Date.now
+} = {}) {
+    if (!enabled) {
+        return (req, res, next) => next();
+    }
+
+    const toleranceMs = toleranceSeconds * 1000;
+    const seenSignatures = new Map(); // digest -> expiry (ms)
+
+    const pruneSignatures = (currentTime) => {
+        for (const [signature, expiresAt] of seenSignatures) {
+            if (expiresAt <= currentTime) {
+                seenSignatures.delete(signature);
+            }
+        }
+    };
+
+    return (req, res, next) => {
+        const currentTime = now();
+
+        const timestampValue = req.get(timestampHeader);
+        if (!timestampValue) {
+            logger.warn("Webhook rejected: missing timestamp");
+            return res.status(401).json({ error: "Missing timestamp" });
+        }
+
+        const timestamp = parseTimestamp(timestampValue);
+        if (timestamp === null || Math.abs(currentTime - timestamp) > toleranceMs) {
+            logger.warn("Webhook rejected: timestamp outside window", { timestamp: timestampValue, toleranceSeconds });
+            return res.status(401).json({ error: "Stale webhook timestamp" });
+        }
+
+        // Normally already verified; without a usable signature nothing identifies the delivery
+        const signature = parseSignature(req.get(signatureHeader));
+        if (!signature) {
+            logger.warn("Webhook rejected: invalid signature");
+            return res.status(401).json({ error: "Invalid signature" });
+        }
+
+        pruneSignatures(currentTime);
+
+        if (seenSignatures.has(signature)) {
+            logger.warn("Webhook rejected: replayed delivery");
+            return res.status(401).json({ error: "Replayed webhook" });
+        }
+
+        // Keep the signature until its timestamp can no longer pass the window check
+        seenSignatures.set(signature, timestamp + toleranceMs);
+
+        next();
+    };
+}
+
+module.exports = {
+    preventWebhookReplay
+};
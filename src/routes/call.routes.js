@@ -0,0 +1,259 @@
+/**
+ * Call Routes
+ * 
+ * API for starting outbound AI calls, ending active ones, inspecting their
+ * lifecycle and downloading recordings and transcripts
+ *
+ * Protected by CALL_API_KEY (see middleware/auth.middleware.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requireApiKey } = require('../middleware');
+const { reserveCallSlot, startOutboundCall, hangupCall, rejectIncomingCall } = require('../handlers/call.handler');
+const { getLifecycle } = require('../state/lifecycle');
+const { isValidCallId } = require('../utils/call.files');
+const { MAX_CONCURRENT_CALLS } = require('../config');
+const { getRecording } = require('../services/recording.service');
+const {
+    TRANSCRIPT_FORMATS,
+    getTranscript,
+    formatTranscriptText,
+    formatTranscriptVtt
+} = require('../services/transcript.service');
+const logger = require('../utils/logger');
+
+const authenticate = requireApiKey();
+
+/**
+ * Check per-call voice processing overrides - returns an error message or null
+ */
+function validateVoiceProcessing(voiceProcessing) {
+    if (voiceProcessing === undefined) {
+        return null;
+    }
+    if (typeof voiceProcessing !== 'object' || voiceProcessing === null || Array.isArray(voiceProcessing)) {
+        return "voiceProcessing must be an object";
+    }
+
+    const unknown = Object.keys(voiceProcessing).filter((key) => !["enabled", "silenceMode", "agc"].includes(key));
+    if (unknown.length > 0) {
+        return `voiceProcessing has unknown fields: ${unknown.join(", ")}`;
+    }
+    for (const key of ["enabled", "agc"]) {
+        if (voiceProcessing[key] !== undefined && typeof voiceProcessing[key] !== 'boolean') {
+            return `voiceProcessing.${key} must be a boolean`;
+        }
+    }
+    if (voiceProcessing.silenceMode !== undefined && !["send", "drop"].includes(voiceProcessing.silenceMode)) {
+        return 'voiceProcessing.silenceMode must be "send" or "drop"';
+    }
+    return null;
+}
+
+/**
+ * Start an outbound call
+ * 
+ * Body: { phoneNumber, callerName?, agentContext?, voiceProcessing?, record? }
+ * - agentContext: object passed to the ElevenLabs agent as dynamic variables
+ * - voiceProcessing: { enabled?, silenceMode?: "send" | "drop", agc? } overriding
+ *   the VOICE_* defaults for this call's caller audio
+ * - record: record this call (overrides RECORDING_ENABLED)
+ */
+router.post("/calls", authenticate, async (req, res) => {
+    const { phoneNumber, callerName, agentContext, voiceProcessing, record } = req.body || {};
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+        return res.status(400).json({ error: "phoneNumber is required" });
+    }
+
+    if (agentContext !== undefined && (typeof agentContext !== 'object' || agentContext === null || Array.isArray(agentContext))) {
+        return res.status(400).json({ error: "agentContext must be an object" });
+    }
+
+    const voiceProcessingError = validateVoiceProcessing(voiceProcessing);
+    if (voiceProcessingError) {
+        return res.status(400).json({ error: voiceProcessingError });
+    }
+
+    if (record !== undefined && typeof record !== 'boolean') {
+        return res.status(400).json({ error: "record must be a boolean" });
+    }
+
+    const releaseCallSlot = reserveCallSlot();
+    if (!releaseCallSlot) {
+        return res.status(503).json({
+            error: "Call limit reached",
+            message: `${MAX_CONCURRENT_CALLS} calls are already active (MAX_CONCURRENT_CALLS)`
+        });
+    }
+
+    try {
+        const callSession = await startOutboundCall(phoneNumber, { callerName, agentContext, voiceProcessing, record })
+            .finally(releaseCallSlot);
+
+        res.status(201).json({
+            callId: callSession.callId,
+            direction: callSession.direction,
+            to: phoneNumber
+        });
+    } catch (err) {
+        logger.error("Failed to start outbound call", { phoneNumber, err });
+        res.status(502).json({
+            error: "Failed to start call",
+            message: err.message
+        });
+    }
+});
+
+/**
+ * Hang up an active call
+ */
+router.post("/calls/:id/hangup", authenticate, async (req, res) => {
+    const callId = req.params.id;
+
+    try {
+        const found = await hangupCall(callId, "admin_hangup");
+        if (!found) {
+            return res.status(404).json({ error: "Call not found", callId });
+        }
+
+        res.status(200).json({ callId, action: "hangup" });
+    } catch (err) {
+        logger.error("Failed to hang up call", { callId, err });
+        res.status(500).json({
+            error: "Failed to hang up call",
+            message: err.message
+        });
+    }
+});
+
+/**
+ * Reject an incoming call
+ */
+router.post("/calls/:id/reject", authenticate, async (req, res) => {
+    const callId = req.params.id;
+
+    try {
+        const found = await rejectIncomingCall(callId);
+        if (!found) {
+            return res.status(404).json({ error: "Call not found", callId });
+        }
+
+        res.status(200).json({ callId, action: "reject" });
+    } catch (err) {
+        logger.error("Failed to reject call", { callId, err });
+        res.status(500).json({
+            error: "Failed to reject call",
+            message: err.message
+        });
+    }
+});
+
+/**
+ * Get a call's lifecycle log (webhook events handled, failures, ...)
+ */
+router.get("/calls/:id/lifecycle", authenticate, (req, res) => {
+    const callId = req.params.id;
+    const entries = getLifecycle(callId);
+
+    if (!entries) {
+        return res.status(404).json({ error: "Call not found", callId });
+    }
+
+    res.status(200).json({ callId, lifecycle: entries });
+});
+
+/**
+ * Download a call's recording (WAV)
+ */
+router.get("/calls/:id/recording", authenticate, async (req, res) => {
+    const callId = req.params.id;
+
+    if (!isValidCallId(callId)) {
+        return res.status(400).json({ error: "Invalid call ID", callId });
+    }
+
+    try {
+        const recording = await getRecording(callId);
+        if (!recording) {
+            return res.status(404).json({ error: "Recording not found", callId });
+        }
+
+        res.download(recording.wavPath);
+    } catch (err) {
+        logger.error("Failed to read recording", { callId, err });
+        res.status(500).json({
+            error: "Failed to read recording",
+            message: err.message
+        });
+    }
+});
+
+/**
+ * Get a call recording's metadata sidecar
+ */
+router.get("/calls/:id/recording/metadata", authenticate, async (req, res) => {
+    const callId = req.params.id;
+
+    if (!isValidCallId(callId)) {
+        return res.status(400).json({ error: "Invalid call ID", callId });
+    }
+
+    try {
+        const recording = await getRecording(callId);
+        if (!recording?.metadataPath) {
+            return res.status(404).json({ error: "Recording not found", callId });
+        }
+
+        res.type("json").sendFile(recording.metadataPath);
+    } catch (err) {
+        logger.error("Failed to read recording metadata", { callId, err });
+        res.status(500).json({
+            error: "Failed to read recording metadata",
+            message: err.message
+        });
+    }
+});
+
+/**
+ * Get a call's transcript
+ *
+ * Query: format = "json" (default), "text" or "vtt" (WebVTT)
+ */
+router.get("/calls/:id/transcript", authenticate, async (req, res) => {
+    const callId = req.params.id;
+    const format = req.query.format || "json";
+
+    if (!isValidCallId(callId)) {
+        return res.status(400).json({ error: "Invalid call ID", callId });
+    }
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${TRANSCRIPT_FORMATS.join(", ")}` });
+    }
+
+    try {
+        const transcript = await getTranscript(callId);
+        if (!transcript) {
+            return res.status(404).json({ error: "Transcript not found", callId });
+        }
+
+        if (format === "text") {
+            return res.type("text/plain").send(formatTranscriptText(transcript));
+        }
+        if (format === "vtt") {
+            return res.type("text/vtt").send(formatTranscriptVtt(transcript));
+        }
+        res.status(200).json(transcript);
+    } catch (err) {
+        logger.error("Failed to read transcript", { callId, err });
+        res.status(500).json({
+            error: "Failed to read transcript",
+            message: err.message
+        });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@
 const express = require('express');
 const router = express.Router();
 
+const { checkReadiness } = require('../services/readiness.service');
+
 // Health check route
 router.get("/health", (req, res) => {
     res.status(200).json({
@@ -17,4 +19,14 @@ router.get("/health", (req, res) => {
     });
 });
 
+// Readiness route - 503 until this instance can actually take calls
+router.get("/ready", async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "not_ready",
+        timestamp: new Date().toISOString(),
+        checks
+    });
+});
+
 module.exports = router;
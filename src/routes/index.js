@@ -6,8 +6,12 @@
 
 const healthRoutes = require('./health.routes');
 const webhookRoutes = require('./webhook.routes');
+const callRoutes = require('./call.routes');
+const metricsRoutes = require('./metrics.routes');
 
 module.exports = {
     healthRoutes,
-    webhookRoutes
+    webhookRoutes,
+    callRoutes,
+    metricsRoutes
 };
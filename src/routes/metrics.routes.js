@@ -0,0 +1,25 @@
+/**
+ * Metrics Routes
+ * 
+ * Prometheus scrape endpoint
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { register } = require('../utils/metrics');
+
+// Prometheus text format
+router.get("/metrics", async (req, res) => {
+    try {
+        res.set("Content-Type", register.contentType);
+        res.status(200).send(await register.metrics());
+    } catch (err) {
+        res.status(500).json({
+            error: "Failed to collect metrics",
+            message: err.message
+        });
+    }
+});
+
+module.exports = router;
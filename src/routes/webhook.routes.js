@@ -7,132 +7,61 @@
 const express = require('express');
 const router = express.Router();
 
-const session = require('../state/session');
-const { handleIncomingCall, cleanupConnections } = require('../handlers/call.handler');
+const { normalizeWebhook } = require('../utils/webhook.normalizer');
+const { dispatchWebhookEvent } = require('../handlers/webhook.handler');
+const { enqueue } = require('../utils/job.queue');
+const { logLifecycle } = require('../state/lifecycle');
+const logger = require('../utils/logger');
 
 /**
- * AiSensy Webhook - handles all call events
+ * AiSensy Webhook - handles every call, status and message in a delivery
  */
 router.post("/aisensy-webhook", async (req, res) => {
     try {
-        console.log("========================================");
-        console.log("📥 Received AiSensy webhook");
-        console.log("Request body:", JSON.stringify(req.body, null, 2));
-        console.log("========================================");
+        logger.info("Received AiSensy webhook");
+        logger.debug("Webhook body", { body: req.body });
 
         // Validate basic webhook structure
         if (!req.body) {
-            console.error("❌ Empty request body");
+            logger.error("Webhook rejected: empty request body");
             return res.status(400).json({ error: "Empty request body" });
         }
 
-        // Parse AiSensy's webhook format
-        const { object, entry, topic } = req.body;
-
+        const { topic } = req.body;
         if (!topic) {
-            console.warn("⚠️ Missing 'topic' in webhook payload");
-            return res.status(200).json({ received: true, message: "Missing topic" });
-        }
-
-        if (!entry || !Array.isArray(entry) || entry.length === 0) {
-            console.warn("⚠️ Missing or empty 'entry' array in webhook payload");
-            return res.status(200).json({ received: true, message: "Missing entry data" });
+            logger.warn("Missing 'topic' in webhook payload");
         }
 
-        // Extract call data from AiSensy's format: entry[0].changes[0].value.calls[0]
-        const changes = entry[0]?.changes;
-        if (!changes || !Array.isArray(changes) || changes.length === 0) {
-            console.warn("⚠️ No changes found in entry");
-            return res.status(200).json({ received: true, message: "No changes data" });
+        // Flatten entry[].changes[].value.{calls,statuses,messages}[] into typed events
+        const events = normalizeWebhook(req.body);
+        if (events.length === 0) {
+            logger.warn("No events found in webhook payload", { topic });
+            return res.status(200).json({ received: true, topic, message: "No events" });
         }
 
-        const value = changes[0]?.value;
-        if (!value) {
-            console.warn("⚠️ No value found in changes");
-            return res.status(200).json({ received: true, message: "No value data" });
-        }
-
-        const calls = value.calls;
-        if (!calls || !Array.isArray(calls) || calls.length === 0) {
-            console.warn("⚠️ No calls found in value");
-            return res.status(200).json({ received: true, message: "No calls data" });
-        }
-
-        const call = calls[0];
-        console.log("✅ Call data extracted:", JSON.stringify(call, null, 2));
-
-        const callId = call.id;
-        if (!callId) {
-            console.error("❌ No call ID found in webhook data");
-            return res.status(200).json({ received: true, message: "Missing call ID" });
-        }
-
-        session.setCurrentCallId(callId);
-        console.log(`✅ Processing call ID: ${callId}`);
-
-        const callEvent = call.event;
-        const callStatus = call.status;
-        const callerNumber = call.from;
-        const receiverNumber = call.to;
-
-        console.log(`📞 Call event: ${callEvent}, Status: ${callStatus || 'N/A'}`);
-        console.log(`📞 From: ${callerNumber}, To: ${receiverNumber}`);
-
-        // Handle different call events
-        if (callEvent === "connect") {
-            console.log("📞 Processing incoming call 'connect' event");
-            try {
-                console.log(`Incoming call from ${callerNumber}`);
-
-                // Extract SDP from session object
-                if (call.session && call.session.sdp) {
-                    session.setWhatsappOfferSdp(call.session.sdp);
-                    console.log("✅ SDP extracted from call.session.sdp");
-                } else {
-                    console.warn("⚠️ No SDP found in call.session");
-                    return res.status(200).json({ received: true, message: "Missing SDP" });
-                }
-
-                // Get caller name from contacts
-                const contacts = value.contacts;
-                let callerName = "Unknown";
-                if (contacts && Array.isArray(contacts) && contacts.length > 0) {
-                    callerName = contacts[0].profile?.name || "Unknown";
-                }
-
-                console.log(`📞 Caller: ${callerName} (${callerNumber})`);
-
-                // Initialize automated call handling with ElevenLabs
-                await handleIncomingCall(callId, callerName, callerNumber);
-
-            } catch (error) {
-                console.error("❌ Error in 'connect' event handler:", error);
-                throw error;
-            }
-        } else if (callEvent === "terminate") {
-            console.log("📴 Processing call 'terminate' event");
-            try {
-                console.log(`Call terminated. Status: ${callStatus}`);
-
-                // Cleanup
-                cleanupConnections();
-                console.log("✅ Cleaned up all connections");
-            } catch (error) {
-                console.error("❌ Error in 'terminate' event handler:", error);
-                throw error;
-            }
-        } else {
-            console.log(`⚠️ Unhandled call event: ${callEvent}`);
-        }
+        logger.info("Extracted webhook events", { topic, count: events.length });
+
+        // Acknowledge right away - call setup can take several seconds and slow
+        // responses make AiSensy retry. Events for the same call run in order.
+        events.forEach((event) => {
+            const key = event.callId || event.id || event.type;
+            enqueue(key, () => dispatchWebhookEvent(event), (error) => {
+                logger.error("Failed to process webhook event", {
+                    key,
+                    callId: event.callId || undefined,
+                    event: event.event || event.type,
+                    err: error
+                });
+                logLifecycle(event.callId, "webhook_failed", {
+                    event: event.event || event.type,
+                    error: error.message
+                });
+            });
+        });
 
-        console.log("✅ Webhook processed successfully");
-        res.status(200).json({ received: true, topic, callId, event: callEvent });
+        res.status(200).json({ received: true, topic, queued: events.length });
     } catch (err) {
-        console.error("========================================");
-        console.error("❌ ERROR processing AiSensy webhook");
-        console.error("Error message:", err.message);
-        console.error("Error stack:", err.stack);
-        console.error("========================================");
+        logger.error("Error processing AiSensy webhook", { err });
 
         res.status(500).json({
             error: "Internal server error",
@@ -5,7 +5,27 @@
  */
 
 const axios = require('axios');
-const { AISENSY_BASE_URL, PROJECT_ID, AISENSY_HEADERS } = require('../config');
+const { AISENSY_BASE_URL, PROJECT_ID, AISENSY_HEADERS, AISENSY_REQUEST_TIMEOUT_MS } = require('../config');
+const logger = require('../utils/logger');
+const { startAisensyTimer } = require('../utils/metrics');
+
+/**
+ * POST to the AiSensy calling API, recording request latency
+ */
+async function timedPost(operation, url, body) {
+    const done = startAisensyTimer(operation);
+    try {
+        const response = await axios.post(url, body, {
+            headers: AISENSY_HEADERS,
+            timeout: AISENSY_REQUEST_TIMEOUT_MS
+        });
+        done(Boolean(response.data?.success));
+        return response;
+    } catch (error) {
+        done(false);
+        throw error;
+    }
+}
 
 /**
  * Pre-accept incoming call
@@ -19,16 +39,16 @@ async function preAcceptCall(callId, sdp, callbackData = null) {
 
     try {
         const url = `${AISENSY_BASE_URL}/project/${PROJECT_ID}/wa-calling/call/pre-accept`;
-        const response = await axios.post(url, body, { headers: AISENSY_HEADERS });
+        const response = await timedPost("pre_accept", url, body);
 
         if (response.data.success) {
-            console.log(`Call ${callId} pre-accepted successfully.`);
+            logger.info("Call pre-accepted successfully", { callId });
             return true;
         }
 
         return false;
     } catch (error) {
-        console.error("Failed to pre-accept call:", error.message);
+        logger.error("Failed to pre-accept call", { callId, status: error.response?.status, err: error });
         return false;
     }
 }
@@ -45,21 +65,93 @@ async function acceptCall(callId, sdp, callbackData = null) {
 
     try {
         const url = `${AISENSY_BASE_URL}/project/${PROJECT_ID}/wa-calling/call/accept`;
-        const response = await axios.post(url, body, { headers: AISENSY_HEADERS });
+        const response = await timedPost("accept", url, body);
+
+        if (response.data.success) {
+            logger.info("Call accepted successfully", { callId });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        logger.error("Failed to accept call", { callId, status: error.response?.status, err: error });
+        return false;
+    }
+}
+
+/**
+ * Reject an incoming call that has not been accepted yet
+ */
+async function rejectCall(callId) {
+    try {
+        const url = `${AISENSY_BASE_URL}/project/${PROJECT_ID}/wa-calling/call/reject`;
+        const response = await timedPost("reject", url, { callId });
+
+        if (response.data.success) {
+            logger.info("Call rejected successfully", { callId });
+            return true;
+        }
+
+        return false;
+    } catch (error) {
+        logger.error("Failed to reject call", { callId, status: error.response?.status, err: error });
+        return false;
+    }
+}
+
+/**
+ * Terminate (hang up) an active call
+ */
+async function terminateCall(callId) {
+    try {
+        const url = `${AISENSY_BASE_URL}/project/${PROJECT_ID}/wa-calling/call/terminate`;
+        const response = await timedPost("terminate", url, { callId });
 
         if (response.data.success) {
-            console.log(`Call ${callId} accepted successfully.`);
+            logger.info("Call terminated successfully", { callId });
             return true;
         }
 
         return false;
     } catch (error) {
-        console.error("Failed to accept call:", error.message);
+        logger.error("Failed to terminate call", { callId, status: error.response?.status, err: error });
         return false;
     }
 }
 
+/**
+ * Initiate a business-initiated (outbound) call
+ *
+ * Returns the AiSensy call ID on success, null otherwise
+ */
+async function initiateCall(to, sdp, callbackData = null) {
+    const body = {
+        to,
+        sdp,
+        ...(callbackData && { callbackData })
+    };
+
+    try {
+        const url = `${AISENSY_BASE_URL}/project/${PROJECT_ID}/wa-calling/call/initiate`;
+        const response = await timedPost("initiate", url, body);
+
+        const callId = response.data.callId || response.data.data?.callId || response.data.calls?.[0]?.id;
+        if (response.data.success && callId) {
+            logger.info("Call initiated successfully", { callId, to });
+            return callId;
+        }
+
+        return null;
+    } catch (error) {
+        logger.error("Failed to initiate call", { to, status: error.response?.status, err: error });
+        return null;
+    }
+}
+
 module.exports = {
     preAcceptCall,
-    acceptCall
+    acceptCall,
+    rejectCall,
+    terminateCall,
+    initiateCall
 };
@@ -5,30 +5,51 @@
  */
 
 const WebSocket = require('ws');
-const { getWebSocketUrl } = require('../config');
-const session = require('../state/session');
+const {
+    getWebSocketUrl,
+    ELEVENLABS_CONNECT_TIMEOUT_MS,
+    ELEVENLABS_RECONNECT_ATTEMPTS,
+    ELEVENLABS_RECONNECT_BASE_DELAY_MS,
+    ELEVENLABS_RECONNECT_MAX_DELAY_MS
+} = require('../config');
 const { handleElevenLabsMessage, handleElevenLabsAudio } = require('../handlers/elevenlabs.handler');
 const playback = require('../audio/playback');
+const { logLifecycle } = require('../state/lifecycle');
+const { elevenLabsConnectDuration, elevenLabsReconnectsTotal, websocketErrorsTotal } = require('../utils/metrics');
+
+// Transcript turns replayed to the agent after a reconnect
+const RESUME_CONTEXT_TURNS = 20;
 
 /**
  * Connect to ElevenLabs Conversational AI via WebSocket
  * 
  * Audio Format:
- * - INPUT (User → AI): We resample 48kHz → 16kHz before sending
- * - OUTPUT (AI → User): ElevenLabs sends 48kHz PCM - DIRECT to WhatsApp, no conversion!
+ * The agent announces its input and output formats (pcm_16000, ulaw_8000, ...)
+ * in conversation_initiation_metadata; the handler picks the decoder and
+ * resamplers from those. A new connection starts with no formats known.
  */
-async function connectToElevenLabs(callerName, callerNumber) {
+async function connectToElevenLabs(callSession, callerName, callerNumber) {
+    const log = callSession.logger;
+
     return new Promise((resolve, reject) => {
         try {
             // ElevenLabs Conversational AI WebSocket URL
             const wsUrl = getWebSocketUrl();
-            console.log(`🔌 Connecting to ElevenLabs WebSocket...`);
+            log.info("Connecting to ElevenLabs WebSocket");
 
-            const elevenLabsWs = new WebSocket(wsUrl);
-            session.setElevenLabsWs(elevenLabsWs);
+            // A reconnected agent announces its formats again (and may have changed them)
+            callSession.agentOutputFormat = null;
+            callSession.userInputFormat = null;
+            callSession.lastInterruptedEventId = null;     // Event IDs restart with each conversation
+
+            const endConnectTimer = elevenLabsConnectDuration.startTimer();
+            const elevenLabsWs = new WebSocket(wsUrl, { handshakeTimeout: ELEVENLABS_CONNECT_TIMEOUT_MS });
+            callSession.elevenLabsWs = elevenLabsWs;
 
             elevenLabsWs.on("open", () => {
-                console.log("✅ ElevenLabs WebSocket connected");
+                endConnectTimer();
+                callSession.elevenLabsConnectedAt = Date.now();
+                log.info("ElevenLabs WebSocket connected");
 
                 // Simple initialization - ElevenLabs rejects most config overrides
                 // The audio format is determined by the agent's dashboard settings
@@ -40,8 +61,13 @@ async function connectToElevenLabs(callerName, callerNumber) {
                     }
                 };
 
+                // Outbound calls can carry agent context (e.g. reason for calling)
+                if (callSession.agentContext) {
+                    initMessage.dynamic_variables = callSession.agentContext;
+                }
+
                 elevenLabsWs.send(JSON.stringify(initMessage));
-                console.log("📤 Sent simple init (no config overrides)");
+                log.debug("Sent conversation init (no config overrides)");
 
                 resolve();
             });
@@ -65,38 +91,112 @@ async function connectToElevenLabs(callerName, callerNumber) {
                     // Parse as JSON
                     try {
                         const message = JSON.parse(messageData.toString());
-                        handleElevenLabsMessage(message);
+                        handleElevenLabsMessage(callSession, message);
                     } catch (e) {
-                        console.log("📩 Failed to parse JSON:", messageData.toString().substring(0, 100));
+                        log.warn("Failed to parse ElevenLabs JSON message", { preview: messageData.toString().substring(0, 100) });
                     }
                 } else {
                     // Binary audio data
                     const firstBytes = messageData.slice(0, 4).toString('hex');
 
-                    if (playback.getElevenLabsAudioCount() < 5) {
-                        console.log(`🔊 ACTUAL Audio: ${messageData.length} bytes, first bytes: ${firstBytes}`);
+                    if (playback.getElevenLabsAudioCount(callSession) < 5) {
+                        log.debug("Binary audio from ElevenLabs", { bytes: messageData.length, firstBytes });
                     }
 
-                    handleElevenLabsAudio(messageData);
+                    handleElevenLabsAudio(callSession, messageData);
                 }
             });
 
             elevenLabsWs.on("error", (error) => {
-                console.error("❌ ElevenLabs WebSocket error:", error);
+                websocketErrorsTotal.inc({ upstream: "elevenlabs" });
+                log.error("ElevenLabs WebSocket error", { err: error });
                 reject(error);
             });
 
             elevenLabsWs.on("close", (code, reason) => {
-                console.log(`📴 ElevenLabs WebSocket closed. Code: ${code}, Reason: ${reason}`);
+                log.info("ElevenLabs WebSocket closed", { code, reason: reason.toString() });
             });
 
         } catch (error) {
-            console.error("❌ Error connecting to ElevenLabs:", error);
+            log.error("Error connecting to ElevenLabs", { err: error });
             reject(error);
         }
     });
 }
 
+/**
+ * Send a contextual update - text the agent takes into account without it interrupting the conversation
+ */
+function sendContextualUpdate(callSession, text) {
+    const elevenLabsWs = callSession.elevenLabsWs;
+    if (elevenLabsWs?.readyState !== WebSocket.OPEN) {
+        return false;
+    }
+
+    elevenLabsWs.send(JSON.stringify({ type: "contextual_update", text }));
+    return true;
+}
+
+/**
+ * Reconnect a call's ElevenLabs socket after an unexpected close
+ *
+ * Tries up to ELEVENLABS_RECONNECT_ATTEMPTS times with exponential backoff.
+ * `shouldContinue()` is checked before each attempt so a call that ended
+ * meanwhile isn't reconnected.
+ *
+ * ElevenLabs can't resume a conversation over the WebSocket, so the new
+ * conversation is given the transcript so far as a contextual update.
+ * Resolves true once reconnected, false if every attempt failed.
+ */
+async function reconnectToElevenLabs(callSession, shouldContinue) {
+    const log = callSession.logger;
+
+    for (let attempt = 1; attempt <= ELEVENLABS_RECONNECT_ATTEMPTS; attempt++) {
+        const delayMs = Math.min(ELEVENLABS_RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), ELEVENLABS_RECONNECT_MAX_DELAY_MS);
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+        if (!shouldContinue()) {
+            return false;
+        }
+
+        log.info("Reconnecting to ElevenLabs", { attempt, of: ELEVENLABS_RECONNECT_ATTEMPTS, delayMs });
+        logLifecycle(callSession.callId, "elevenlabs_reconnect_attempt", { attempt, delayMs });
+
+        try {
+            await connectToElevenLabs(callSession, callSession.callerName, callSession.callerNumber);
+        } catch (error) {
+            log.warn("ElevenLabs reconnect attempt failed", { attempt, err: error });
+            callSession.elevenLabsWs = null;
+            continue;
+        }
+
+        // Call may have ended while the socket was opening
+        if (!shouldContinue()) {
+            return false;
+        }
+
+        elevenLabsReconnectsTotal.inc({ result: "success" });
+        log.info("Reconnected to ElevenLabs", { attempt });
+        logLifecycle(callSession.callId, "elevenlabs_reconnected", { attempt });
+
+        const turns = callSession.transcript.slice(-RESUME_CONTEXT_TURNS);
+        sendContextualUpdate(callSession, [
+            "The phone call was briefly interrupted by a technical problem and you have just been reconnected to the same caller.",
+            "Continue the conversation from where it left off; do not greet the caller again.",
+            ...(turns.length > 0 ? ["Conversation so far:", ...turns.map(({ role, text }) => `${role === "user" ? "Caller" : "Agent"}: ${text}`)] : [])
+        ].join("\n"));
+
+        return true;
+    }
+
+    if (ELEVENLABS_RECONNECT_ATTEMPTS > 0) {
+        elevenLabsReconnectsTotal.inc({ result: "failed" });
+    }
+    return false;
+}
+
 module.exports = {
-    connectToElevenLabs
+    connectToElevenLabs,
+    reconnectToElevenLabs,
+    sendContextualUpdate
 };
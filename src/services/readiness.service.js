@@ -0,0 +1,102 @@
+/**
+ * Readiness Service
+ *
+ * Decides whether this instance can take calls: required configuration is
+ * present, the WebRTC native module loaded, there is spare call capacity
+ * and (optionally) the AiSensy and ElevenLabs upstreams respond.
+ */
+
+const axios = require('axios');
+const {
+    PROJECT_ID,
+    API_KEY,
+    ELEVENLABS_AGENT_ID,
+    AISENSY_BASE_URL,
+    ELEVENLABS_BASE_URL,
+    MAX_CONCURRENT_CALLS,
+    READY_PROBE_UPSTREAMS,
+    READY_PROBE_TIMEOUT_MS
+} = require('../config');
+const { getSessionCount } = require('../state/session');
+const { isWebRTCAvailable, getWebRTCLoadError } = require('../utils/wrtc');
+
+// Settings a call cannot be handled without, by environment variable name
+const REQUIRED_CONFIG = {
+    AISENSY_PROJECT_ID: PROJECT_ID,
+    AISENSY_API_KEY: API_KEY,
+    ELEVENLABS_AGENT_ID
+};
+
+/**
+ * Names of required environment variables that are unset
+ */
+function getMissingConfig() {
+    return Object.keys(REQUIRED_CONFIG).filter((name) => !REQUIRED_CONFIG[name]);
+}
+
+/**
+ * Check an upstream responds at all - any non-5xx status counts as reachable
+ */
+async function probeUpstream(url) {
+    const startedAt = Date.now();
+    try {
+        const response = await axios.get(url, {
+            timeout: READY_PROBE_TIMEOUT_MS,
+            validateStatus: () => true
+        });
+        return {
+            ok: response.status < 500,
+            url,
+            status: response.status,
+            latencyMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            url,
+            error: error.code || error.message,
+            latencyMs: Date.now() - startedAt
+        };
+    }
+}
+
+/**
+ * Run all readiness checks
+ *
+ * Returns { ready, checks } where each check has an `ok` flag plus details.
+ */
+async function checkReadiness() {
+    const missing = getMissingConfig();
+    const activeCalls = getSessionCount();
+
+    const checks = {
+        config: { ok: missing.length === 0, missing },
+        webrtc: {
+            ok: isWebRTCAvailable(),
+            ...(!isWebRTCAvailable() && { error: getWebRTCLoadError()?.message })
+        },
+        capacity: {
+            ok: !MAX_CONCURRENT_CALLS || activeCalls < MAX_CONCURRENT_CALLS,
+            activeCalls,
+            maxCalls: MAX_CONCURRENT_CALLS || null
+        }
+    };
+
+    if (READY_PROBE_UPSTREAMS) {
+        const [aisensy, elevenlabs] = await Promise.all([
+            probeUpstream(AISENSY_BASE_URL),
+            probeUpstream(ELEVENLABS_BASE_URL)
+        ]);
+        checks.aisensy = aisensy;
+        checks.elevenlabs = elevenlabs;
+    }
+
+    const ready = Object.values(checks).every((check) => check.ok);
+    return { ready, checks };
+}
+
+module.exports = {
+    getMissingConfig,
+    probeUpstream,
+    checkReadiness
+};
@@ -0,0 +1,230 @@
+/**
+ * Call Recording Service
+ *
+ * Starts and finishes per-call recordings, writes the JSON metadata sidecar,
+ * finds recordings by call ID and deletes them once past retention.
+ *
+ * Files are stored flat in RECORDING_DIR as <name>.wav and <name>.json, named
+ * from the call ID by utils/call.files.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    RECORDING_ENABLED,
+    RECORDING_DIR,
+    RECORDING_LAYOUT,
+    RECORDING_SAMPLE_RATE,
+    RECORDING_RETENTION_DAYS
+} = require('../config');
+const { CallRecorder } = require('../audio/recorder');
+const { logLifecycle } = require('../state/lifecycle');
+const { isValidCallId, getCallFileBasePath } = require('../utils/call.files');
+const logger = require('../utils/logger');
+
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const RECORDING_FILE_PATTERN = /\.(wav|json|wav\.part)$/;
+
+const recordingDir = path.resolve(RECORDING_DIR);
+
+// Recordings still being finalized, so shutdown can wait for them
+const finishing = new Set();
+
+/**
+ * Path of a call's recording files, without extension
+ */
+function getRecordingBasePath(callId) {
+    return getCallFileBasePath(recordingDir, callId);
+}
+
+/**
+ * Start recording a call, if recording is enabled for it
+ *
+ * `callSession.recordingEnabled` (outbound calls) overrides RECORDING_ENABLED.
+ */
+function startRecording(callSession) {
+    if (callSession.recorder || !(callSession.recordingEnabled ?? RECORDING_ENABLED)) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(recordingDir, { recursive: true });
+        callSession.recorder = new CallRecorder({
+            filePath: `${getRecordingBasePath(callSession.callId)}.wav`,
+            sampleRate: RECORDING_SAMPLE_RATE,
+            layout: RECORDING_LAYOUT,
+            logger: callSession.logger
+        });
+        callSession.recordingStartedAt = Date.now();
+        callSession.logger.info("Call recording started", { layout: RECORDING_LAYOUT, sampleRate: RECORDING_SAMPLE_RATE });
+        logLifecycle(callSession.callId, "recording_started");
+    } catch (error) {
+        // A call is never failed because it can't be recorded
+        callSession.logger.error("Could not start call recording", { dir: recordingDir, err: error });
+        logLifecycle(callSession.callId, "recording_failed", { error: error.message });
+    }
+}
+
+/**
+ * Call metadata stored next to the recording
+ */
+function buildMetadata(callSession, result) {
+    return {
+        callId: callSession.callId,
+        direction: callSession.direction,
+        callerName: callSession.callerName,
+        callerNumber: callSession.callerNumber,
+        conversationId: callSession.conversationId,
+        previousConversationIds: callSession.previousConversationIds,
+        state: callSession.state,
+        endReason: callSession.endReason,
+        terminateStatus: callSession.terminateStatus,
+        aisensyDurationSeconds: callSession.duration,
+        createdAt: new Date(callSession.createdAt).toISOString(),
+        endedAt: callSession.endedAt ? new Date(callSession.endedAt).toISOString() : null,
+        recording: {
+            file: path.basename(result.filePath),
+            startedAt: new Date(callSession.recordingStartedAt).toISOString(),
+            durationSeconds: Math.round(result.durationSeconds * 100) / 100,
+            bytes: result.bytes,
+            sampleRate: RECORDING_SAMPLE_RATE,
+            layout: RECORDING_LAYOUT,
+            channels: RECORDING_LAYOUT === "separate" ? ["caller", "agent"] : ["mixed"]
+        }
+    };
+}
+
+/**
+ * Finalize a call's recording and write its metadata sidecar
+ *
+ * Call once the call has reached its final state, after audio has stopped.
+ */
+async function finishRecording(callSession) {
+    const recorder = callSession.recorder;
+    if (!recorder) {
+        return;
+    }
+    callSession.recorder = null;
+
+    const done = (async () => {
+        try {
+            const result = await recorder.close();
+            if (!result) {
+                logLifecycle(callSession.callId, "recording_failed", { error: "write failed" });
+                return;
+            }
+
+            const metadataPath = `${getRecordingBasePath(callSession.callId)}.json`;
+            await fs.promises.writeFile(metadataPath, JSON.stringify(buildMetadata(callSession, result), null, 2));
+
+            callSession.logger.info("Call recording saved", { file: result.filePath, durationSeconds: result.durationSeconds });
+            logLifecycle(callSession.callId, "recording_saved", { durationSeconds: result.durationSeconds, bytes: result.bytes });
+        } catch (error) {
+            callSession.logger.error("Could not finalize call recording", { err: error });
+            logLifecycle(callSession.callId, "recording_failed", { error: error.message });
+        }
+    })();
+
+    finishing.add(done);
+    await done;
+    finishing.delete(done);
+}
+
+/**
+ * Wait for recordings that are still being finalized (used on shutdown)
+ */
+const waitForRecordings = () => Promise.all([...finishing]);
+
+/**
+ * Paths of a call's finished recording, or null if there is none
+ */
+async function getRecording(callId) {
+    if (!isValidCallId(callId)) {
+        return null;
+    }
+
+    const basePath = getRecordingBasePath(callId);
+    const wavPath = `${basePath}.wav`;
+    const metadataPath = `${basePath}.json`;
+
+    try {
+        await fs.promises.access(wavPath);
+    } catch (error) {
+        return null;
+    }
+
+    const hasMetadata = await fs.promises.access(metadataPath).then(() => true, () => false);
+    return { wavPath, metadataPath: hasMetadata ? metadataPath : null };
+}
+
+/**
+ * Delete recording files older than RECORDING_RETENTION_DAYS
+ *
+ * Returns the number of files deleted.
+ */
+async function deleteExpiredRecordings(now = Date.now()) {
+    if (RECORDING_RETENTION_DAYS === 0) {
+        return 0;
+    }
+
+    let names;
+    try {
+        names = await fs.promises.readdir(recordingDir);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return 0;
+        }
+        throw error;
+    }
+
+    const cutoff = now - RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+
+    for (const name of names.filter((file) => RECORDING_FILE_PATTERN.test(file))) {
+        const filePath = path.join(recordingDir, name);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (stats.isFile() && stats.mtimeMs < cutoff) {
+                await fs.promises.unlink(filePath);
+                deleted++;
+            }
+        } catch (error) {
+            logger.warn("Could not check or delete recording file", { file: filePath, err: error });
+        }
+    }
+
+    if (deleted > 0) {
+        logger.info("Deleted expired call recordings", { files: deleted, retentionDays: RECORDING_RETENTION_DAYS });
+    }
+    return deleted;
+}
+
+/**
+ * Run the retention cleanup now and then hourly
+ *
+ * Returns the interval handle (unref'd, so it never keeps the process alive).
+ */
+function startRetentionJob() {
+    if (RECORDING_RETENTION_DAYS === 0) {
+        return null;
+    }
+
+    const run = () => deleteExpiredRecordings().catch((error) => {
+        logger.error("Recording retention cleanup failed", { dir: recordingDir, err: error });
+    });
+
+    run();
+    const timer = setInterval(run, RETENTION_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    startRecording,
+    finishRecording,
+    waitForRecordings,
+    getRecording,
+    deleteExpiredRecordings,
+    startRetentionJob
+};
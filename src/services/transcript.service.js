@@ -0,0 +1,252 @@
+/**
+ * Call Transcript Service
+ *
+ * Records the caller's and agent's turns as ElevenLabs reports them, applies
+ * agent response corrections, persists each call's transcript through the
+ * transcript store, deletes them once past retention and renders them as
+ * JSON, plain text or WebVTT.
+ *
+ * ElevenLabs only gives a turn's text, not its audio timing, so cue times are
+ * estimated: a caller turn is final when the caller stops speaking (it ends
+ * at `at`), an agent turn is sent as the agent starts (it begins at `at`),
+ * and each lasts about as long as its words take to say. Times are relative
+ * to the start of the recording, or to the call's creation when it wasn't
+ * recorded.
+ */
+
+const { TRANSCRIPT_RETENTION_DAYS } = require('../config');
+const session = require('../state/session');
+const { getTranscriptStore } = require('../state/transcript-store');
+const { enqueue } = require('../utils/job.queue');
+const logger = require('../utils/logger');
+
+// Speaking-time estimate for cue lengths (~150 words per minute)
+const MS_PER_WORD = 400;
+const MIN_CUE_MS = 1000;
+
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const SPEAKERS = { user: "Caller", agent: "Agent" };
+const TRANSCRIPT_FORMATS = ["json", "text", "vtt"];
+
+// Saves still being written, so shutdown can wait for them
+const saving = new Set();
+
+/**
+ * Add a caller ("user") or agent turn to a call's transcript and persist it
+ */
+function addTranscriptTurn(callSession, role, text, eventId = null) {
+    callSession.transcript.push({ role, text, at: Date.now(), eventId: eventId ?? null });
+    saveTranscript(callSession);
+}
+
+/**
+ * Apply an `agent_response_correction` to the agent turn it corrects
+ *
+ * ElevenLabs sends one when the agent was interrupted, with the response as
+ * sent and as actually spoken. The most recent agent turn with the original
+ * text is updated (or the most recent agent turn, if none matches).
+ * Returns the corrected turn, or null if there is no agent turn.
+ */
+function correctAgentTurn(callSession, originalText, correctedText) {
+    const agentTurns = callSession.transcript.filter((turn) => turn.role === "agent");
+    const turn = agentTurns.findLast((candidate) => (candidate.originalText ?? candidate.text) === originalText)
+        || agentTurns[agentTurns.length - 1];
+
+    if (!turn || typeof correctedText !== "string") {
+        return null;
+    }
+
+    turn.originalText = turn.originalText ?? turn.text;
+    turn.text = correctedText;
+    turn.correctedAt = Date.now();
+    saveTranscript(callSession);
+    return turn;
+}
+
+const estimateSpeechMs = (text) => Math.max(MIN_CUE_MS, text.trim().split(/\s+/).length * MS_PER_WORD);
+
+/**
+ * Transcript document for a call, with estimated cue times
+ */
+function buildTranscript(callSession) {
+    const startedAt = callSession.recordingStartedAt ?? callSession.createdAt;
+    const turns = callSession.transcript;
+
+    return {
+        callId: callSession.callId,
+        direction: callSession.direction,
+        conversationIds: [...callSession.previousConversationIds, callSession.conversationId].filter(Boolean),
+        state: callSession.state,
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: callSession.endedAt ? new Date(callSession.endedAt).toISOString() : null,
+        turns: turns.map((turn, index) => {
+            const offsetMs = Math.max(0, turn.at - startedAt);
+            const durationMs = estimateSpeechMs(turn.text);
+
+            let startMs = offsetMs;
+            let endMs = offsetMs + durationMs;
+            if (turn.role === "user") {
+                // Not before the previous turn, so cues stay in order
+                const previousMs = index > 0 ? turns[index - 1].at - startedAt : 0;
+                startMs = Math.max(0, previousMs, offsetMs - durationMs);
+                endMs = offsetMs;
+            } else if (index + 1 < turns.length) {
+                // Cut short by whatever was said next (e.g. a barge-in)
+                const nextMs = turns[index + 1].at - startedAt;
+                endMs = nextMs > startMs ? Math.min(endMs, nextMs) : endMs;
+            }
+
+            return {
+                role: turn.role,
+                speaker: SPEAKERS[turn.role],
+                text: turn.text,
+                at: new Date(turn.at).toISOString(),
+                startMs,
+                endMs: Math.max(endMs, startMs + 1),
+                eventId: turn.eventId ?? null,
+                correction: turn.correctedAt
+                    ? { originalText: turn.originalText, at: new Date(turn.correctedAt).toISOString() }
+                    : null
+            };
+        })
+    };
+}
+
+/**
+ * Persist a call's transcript as it is now
+ *
+ * Saves for the same call are written one at a time, in order. A failed
+ * save is logged; the next one writes the whole transcript again.
+ */
+function saveTranscript(callSession) {
+    const transcript = buildTranscript(callSession);
+    const store = getTranscriptStore();
+
+    const done = enqueue(`transcript:${callSession.callId}`, () => store.save(callSession.callId, transcript), (error) => {
+        callSession.logger.error("Could not save call transcript", { store: store.name, err: error });
+    });
+
+    saving.add(done);
+    done.finally(() => saving.delete(done));
+    return done;
+}
+
+/**
+ * Save the final transcript once the call has ended
+ */
+function finishTranscript(callSession) {
+    if (callSession.transcript.length === 0 && !callSession.conversationId) {
+        return;
+    }
+    saveTranscript(callSession);
+}
+
+/**
+ * Wait for transcripts still being saved (used on shutdown)
+ */
+const waitForTranscripts = () => Promise.all([...saving]);
+
+/**
+ * A call's transcript - live for active calls, from the store otherwise
+ *
+ * Resolves null if the call has no transcript.
+ */
+async function getTranscript(callId) {
+    const callSession = session.getSession(callId);
+    if (callSession) {
+        return buildTranscript(callSession);
+    }
+    return getTranscriptStore().load(callId);
+}
+
+/**
+ * Delete transcripts last saved more than TRANSCRIPT_RETENTION_DAYS ago
+ *
+ * Returns the number deleted (0 when the store has no deleteOlderThan).
+ */
+async function deleteExpiredTranscripts(now = Date.now()) {
+    const store = getTranscriptStore();
+    if (TRANSCRIPT_RETENTION_DAYS === 0 || typeof store.deleteOlderThan !== "function") {
+        return 0;
+    }
+
+    const deleted = await store.deleteOlderThan(now - TRANSCRIPT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (deleted > 0) {
+        logger.info("Deleted expired call transcripts", { transcripts: deleted, retentionDays: TRANSCRIPT_RETENTION_DAYS });
+    }
+    return deleted;
+}
+
+/**
+ * Run the retention cleanup now and then hourly
+ *
+ * Returns the interval handle (unref'd, so it never keeps the process alive).
+ */
+function startTranscriptRetentionJob() {
+    if (TRANSCRIPT_RETENTION_DAYS === 0) {
+        return null;
+    }
+
+    const store = getTranscriptStore();
+    if (typeof store.deleteOlderThan !== "function") {
+        logger.warn("Transcript store has no deleteOlderThan - transcripts will not be deleted", { store: store.name });
+        return null;
+    }
+
+    const run = () => deleteExpiredTranscripts().catch((error) => {
+        logger.error("Transcript retention cleanup failed", { store: store.name, err: error });
+    });
+
+    run();
+    const timer = setInterval(run, RETENTION_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Milliseconds → "HH:MM:SS.mmm"
+ */
+function formatTimestamp(ms) {
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    const total = Math.max(0, Math.round(ms));
+    return `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}.${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Plain text, one "[HH:MM:SS] Speaker: text" line per turn
+ */
+function formatTranscriptText(transcript) {
+    return transcript.turns
+        .map((turn) => `[${formatTimestamp(turn.startMs).slice(0, 8)}] ${turn.speaker}: ${turn.text}`)
+        .join("\n") + "\n";
+}
+
+/**
+ * WebVTT, one cue per turn with the speaker as its voice
+ */
+function formatTranscriptVtt(transcript) {
+    const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    const cues = transcript.turns.map((turn, index) => [
+        String(index + 1),
+        `${formatTimestamp(turn.startMs)} --> ${formatTimestamp(turn.endMs)}`,
+        `<v ${turn.speaker}>${escape(turn.text.replace(/\s*\n\s*/g, " "))}`
+    ].join("\n"));
+
+    return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    addTranscriptTurn,
+    correctAgentTurn,
+    saveTranscript,
+    finishTranscript,
+    waitForTranscripts,
+    getTranscript,
+    deleteExpiredTranscripts,
+    startTranscriptRetentionJob,
+    formatTranscriptText,
+    formatTranscriptVtt
+};
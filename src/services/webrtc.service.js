@@ -1,105 +1,516 @@
 /**
  * WebRTC Service
- * 
+ *
  * Handles WhatsApp WebRTC peer connection setup
+ * - Incoming calls: WhatsApp sends the offer, we answer
+ * - Outbound calls: we create the offer, WhatsApp answers via webhook
+ *
+ * Media-path loss during a call is reported on `mediaEvents`:
+ *
+ *   mediaEvents.on('lost', ({ callSession, reason }) => ...)
  */
 
+const EventEmitter = require('events');
+
 const {
-    RTCPeerConnection,
-    RTCSessionDescription,
-    MediaStream,
-    nonstandard: { RTCAudioSource }
-} = require('@roamhq/wrtc');
+    ICE_SERVERS,
+    TURN_URLS,
+    TURN_SECRET,
+    TURN_USER,
+    TURN_CREDENTIAL_TTL_SECONDS,
+    ICE_TRANSPORT_POLICY,
+    ICE_PORT_MIN,
+    ICE_PORT_MAX,
+    ICE_ADVERTISE_HOST_ADDRESSES,
+    SDP_AUDIO_CODECS,
+    SDP_OPUS_USEINBANDFEC,
+    SDP_OPUS_USEDTX,
+    SDP_OPUS_MAXAVERAGEBITRATE,
+    SDP_PTIME,
+    ICE_GATHERING_TIMEOUT_MS,
+    ICE_DISCONNECTED_GRACE_MS,
+    TRACK_TIMEOUT_MS
+} = require('../config');
+const { logLifecycle } = require('../state/lifecycle');
+const { CALL_STATES, isTerminal } = require('../state/call-state');
+const { transformSdp } = require('../utils/sdp.transform');
+const { createTurnCredentials } = require('../utils/turn.credentials');
+const { iceGatheringDuration, iceCandidatesTotal, mediaRecoveriesTotal } = require('../utils/metrics');
+const { requireWebRTC } = require('../utils/wrtc');
 
-const { ICE_SERVERS } = require('../config');
-const session = require('../state/session');
+const mediaEvents = new EventEmitter();
 
 /**
- * Setup WhatsApp WebRTC peer connection
+ * Build the RTCConfiguration for a call
+ *
+ * TURN REST credentials are minted per call so they expire with it.
  */
-async function setupWhatsAppWebRTC() {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const whatsappPc = new RTCPeerConnection({ iceServers: ICE_SERVERS });
-            session.setWhatsappPc(whatsappPc);
-            session.setWhatsappStream(new MediaStream());
+function buildRtcConfiguration() {
+    const iceServers = [...ICE_SERVERS];
 
-            // Track received from WhatsApp
-            const trackPromise = new Promise((resolveTrack, rejectTrack) => {
-                const timeout = setTimeout(() => {
-                    rejectTrack(new Error("Timed out waiting for WhatsApp track"));
-                }, 10000);
-
-                whatsappPc.ontrack = (event) => {
-                    clearTimeout(timeout);
-                    console.log("📞 Audio track received from WhatsApp");
-                    session.setWhatsappStream(event.streams[0]);
-                    event.streams[0].getTracks().forEach((track) => {
-                        console.log(`WhatsApp track: ${track.kind}, enabled: ${track.enabled}`);
-                    });
-                    resolveTrack();
-                };
+    if (TURN_URLS.length > 0) {
+        const { username, credential } = createTurnCredentials(TURN_SECRET, TURN_USER, TURN_CREDENTIAL_TTL_SECONDS);
+        iceServers.push({ urls: TURN_URLS, username, credential });
+    }
+
+    return {
+        iceServers,
+        iceTransportPolicy: ICE_TRANSPORT_POLICY,
+        ...(ICE_PORT_MIN !== undefined && { portRange: { min: ICE_PORT_MIN, max: ICE_PORT_MAX } })
+    };
+}
+
+/**
+ * Read the nominated candidate pair from the peer connection's stats
+ */
+async function getSelectedCandidatePair(whatsappPc) {
+    const stats = new Map();
+    (await whatsappPc.getStats()).forEach((report) => stats.set(report.id, report));
+
+    const reports = [...stats.values()];
+    const transport = reports.find((report) => report.type === "transport" && report.selectedCandidatePairId);
+    const pair = transport
+        ? stats.get(transport.selectedCandidatePairId)
+        : reports.find((report) => report.type === "candidate-pair" && (report.selected || (report.nominated && report.state === "succeeded")));
+
+    if (!pair) {
+        return null;
+    }
+
+    const describe = (candidate) => candidate && {
+        type: candidate.candidateType,
+        protocol: candidate.protocol,
+        address: candidate.address || candidate.ip,
+        port: candidate.port,
+        ...(candidate.relayProtocol && { relayProtocol: candidate.relayProtocol })
+    };
+
+    return {
+        local: describe(stats.get(pair.localCandidateId)),
+        remote: describe(stats.get(pair.remoteCandidateId)),
+        rttMs: pair.currentRoundTripTime !== undefined ? Math.round(pair.currentRoundTripTime * 1000) : undefined
+    };
+}
+
+/**
+ * Log (once per call) which candidate pair ICE settled on - relay vs direct matters when debugging NAT issues
+ */
+async function logSelectedCandidatePair(callSession) {
+    const whatsappPc = callSession.whatsappPc;
+    if (!whatsappPc || callSession.selectedCandidatePair) {
+        return;
+    }
+
+    try {
+        const pair = await getSelectedCandidatePair(whatsappPc);
+        if (!pair || callSession.selectedCandidatePair) {
+            return;
+        }
+        callSession.selectedCandidatePair = pair;
+        callSession.logger.info("WhatsApp ICE candidate pair selected", pair);
+        logLifecycle(callSession.callId, "ice_candidate_pair", pair);
+
+        // ICE_ADVERTISE_HOST_ADDRESSES only edits the SDP, so flag media that ended up on another address
+        const local = pair.local;
+        if (ICE_ADVERTISE_HOST_ADDRESSES.length > 0 && ["host", "prflx"].includes(local?.type) && !ICE_ADVERTISE_HOST_ADDRESSES.includes(local.address)) {
+            callSession.logger.warn("Media is using a local address not in ICE_ADVERTISE_HOST_ADDRESSES", {
+                address: local.address,
+                advertised: ICE_ADVERTISE_HOST_ADDRESSES
             });
+        }
+    } catch (error) {
+        callSession.logger.warn("Could not read selected ICE candidate pair", { err: error });
+    }
+}
 
-            whatsappPc.onicecandidate = (event) => {
-                if (event.candidate) {
-                    console.log("WhatsApp ICE candidate generated");
-                }
-            };
-
-            whatsappPc.oniceconnectionstatechange = () => {
-                const pc = session.getWhatsappPc();
-                if (pc) {
-                    console.log(`WhatsApp ICE state: ${pc.iceConnectionState}`);
-                }
-            };
-
-            whatsappPc.onconnectionstatechange = () => {
-                const pc = session.getWhatsappPc();
-                if (pc) {
-                    console.log(`WhatsApp connection state: ${pc.connectionState}`);
-                }
-            };
-
-            // Set remote description (WhatsApp's offer)
-            const whatsappOfferSdp = session.getWhatsappOfferSdp();
-            await whatsappPc.setRemoteDescription(new RTCSessionDescription({
-                type: "offer",
-                sdp: whatsappOfferSdp
-            }));
-            console.log("✅ WhatsApp offer SDP set as remote description");
+/**
+ * Report the media path as lost so the call gets hung up
+ */
+function reportMediaLost(callSession, reason) {
+    clearTimeout(callSession.iceRecoveryTimer);
+    callSession.iceRecoveryTimer = null;
+
+    mediaRecoveriesTotal.inc({ result: "failed" });
+    callSession.logger.error("WhatsApp media path lost", { reason });
+    logLifecycle(callSession.callId, "media_lost", { reason });
+    mediaEvents.emit("lost", { callSession, reason });
+}
+
+/**
+ * React to ICE connection state changes on a live call
+ *
+ * - disconnected: libwebrtc keeps checking and often recovers by itself
+ *   (e.g. after a network blip), so wait ICE_DISCONNECTED_GRACE_MS first
+ * - connected/completed after a disconnect: recovered, cancel the grace timer
+ * - failed: the transport is gone for good
+ *
+ * An ICE restart would need a new offer/answer exchange with WhatsApp, and
+ * the AiSensy calling API has no mid-call renegotiation endpoint - so when
+ * the grace period runs out or ICE fails, the call is hung up instead of
+ * being left silent.
+ */
+function handleIceConnectionState(callSession, whatsappPc) {
+    const state = whatsappPc.iceConnectionState;
+    const callActive = !isTerminal(callSession) && callSession.state !== CALL_STATES.ENDING;
+
+    if (state === "connected" || state === "completed") {
+        if (callSession.iceRecoveryTimer) {
+            clearTimeout(callSession.iceRecoveryTimer);
+            callSession.iceRecoveryTimer = null;
+            mediaRecoveriesTotal.inc({ result: "recovered" });
+            callSession.logger.info("WhatsApp media path recovered");
+            logLifecycle(callSession.callId, "media_recovered");
+
+            // ICE may have settled on a different pair
+            callSession.selectedCandidatePair = null;
+        }
+        logSelectedCandidatePair(callSession);
+        return;
+    }
+
+    if (!callActive) {
+        return;
+    }
+
+    if (state === "disconnected" && !callSession.iceRecoveryTimer) {
+        callSession.logger.warn("WhatsApp media path disconnected, waiting for recovery", { graceMs: ICE_DISCONNECTED_GRACE_MS });
+        logLifecycle(callSession.callId, "media_disconnected", { graceMs: ICE_DISCONNECTED_GRACE_MS });
+
+        callSession.iceRecoveryTimer = setTimeout(() => {
+            callSession.iceRecoveryTimer = null;
+            if (callSession.whatsappPc === whatsappPc && whatsappPc.iceConnectionState === "disconnected") {
+                reportMediaLost(callSession, "media_disconnected");
+            }
+        }, ICE_DISCONNECTED_GRACE_MS);
+    } else if (state === "failed") {
+        reportMediaLost(callSession, "media_failed");
+    }
+}
+
+/**
+ * Create the peer connection for a call and attach state logging
+ */
+function createPeerConnection(callSession) {
+    const { RTCPeerConnection, MediaStream } = requireWebRTC();
+    const rtcConfiguration = buildRtcConfiguration();
+    const whatsappPc = new RTCPeerConnection(rtcConfiguration);
+    callSession.whatsappPc = whatsappPc;
+    callSession.whatsappStream = new MediaStream();
+
+    callSession.logger.debug("WhatsApp peer connection created", {
+        iceServers: rtcConfiguration.iceServers.map((server) => server.urls),
+        iceTransportPolicy: rtcConfiguration.iceTransportPolicy,
+        portRange: rtcConfiguration.portRange
+    });
+
+    whatsappPc.onicecandidate = (event) => {
+        if (event.candidate) {
+            callSession.logger.debug("WhatsApp ICE candidate generated");
+        }
+    };
+
+    whatsappPc.oniceconnectionstatechange = () => {
+        const pc = callSession.whatsappPc;
+        if (pc) {
+            callSession.logger.info("WhatsApp ICE state", { iceConnectionState: pc.iceConnectionState });
+            handleIceConnectionState(callSession, pc);
+        }
+    };
+
+    whatsappPc.onconnectionstatechange = () => {
+        const pc = callSession.whatsappPc;
+        if (pc) {
+            callSession.logger.info("WhatsApp connection state", { connectionState: pc.connectionState });
+        }
+    };
 
-            // Wait for WhatsApp audio track
-            await trackPromise;
-            console.log("✅ WhatsApp audio track received");
+    return whatsappPc;
+}
+
+/**
+ * Wait for WhatsApp's audio track to arrive on the peer connection
+ *
+ * Must be called before the remote description is set so ontrack isn't missed.
+ * Returns { track, cancel }: `track` resolves once the track arrives and
+ * rejects after TRACK_TIMEOUT_MS; `cancel()` stops the timeout and must be
+ * called if setup fails before `track` is awaited.
+ */
+function waitForWhatsAppTrack(callSession) {
+    const whatsappPc = callSession.whatsappPc;
+    let timeout = null;
+
+    const track = new Promise((resolveTrack, rejectTrack) => {
+        timeout = setTimeout(() => {
+            rejectTrack(new Error("Timed out waiting for WhatsApp track"));
+        }, TRACK_TIMEOUT_MS);
+
+        whatsappPc.ontrack = (event) => {
+            clearTimeout(timeout);
+            callSession.whatsappStream = event.streams[0];
+            callSession.logger.info("Audio track received from WhatsApp", {
+                tracks: event.streams[0].getTracks().map((track) => ({ kind: track.kind, enabled: track.enabled }))
+            });
+            resolveTrack();
+        };
+    });
 
-            // Create RTCAudioSource for sending audio to WhatsApp
-            // IMPORTANT: This must be done BEFORE createAnswer so the track is in the SDP
-            const audioSource = new RTCAudioSource();
-            session.setAudioSource(audioSource);
+    // Setup may fail (e.g. on a malformed SDP) before the track is awaited -
+    // that must not surface later as an unhandled rejection
+    track.catch(() => {});
 
-            const audioSenderTrack = audioSource.createTrack();
-            session.setAudioSenderTrack(audioSenderTrack);
+    return { track, cancel: () => clearTimeout(timeout) };
+}
+
+/**
+ * Create RTCAudioSource for sending audio to WhatsApp and add its track
+ *
+ * IMPORTANT: This must be done BEFORE createAnswer/createOffer so the track is in the SDP
+ */
+function addAudioSenderTrack(callSession) {
+    const { nonstandard: { RTCAudioSource } } = requireWebRTC();
+    const audioSource = new RTCAudioSource();
+    callSession.audioSource = audioSource;
 
-            whatsappPc.addTrack(audioSenderTrack);
-            console.log("✅ RTCAudioSource track added to peer connection");
+    const audioSenderTrack = audioSource.createTrack();
+    callSession.audioSenderTrack = audioSenderTrack;
+
+    callSession.whatsappPc.addTrack(audioSenderTrack);
+    callSession.logger.debug("RTCAudioSource track added to peer connection");
+}
+
+/**
+ * Setup WhatsApp WebRTC peer connection for a call session
+ */
+async function setupWhatsAppWebRTC(callSession) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const { RTCSessionDescription } = requireWebRTC();
+            const whatsappPc = createPeerConnection(callSession);
+
+            // Track received from WhatsApp
+            const trackWait = waitForWhatsAppTrack(callSession);
+
+            try {
+                // Set remote description (WhatsApp's offer)
+                await whatsappPc.setRemoteDescription(new RTCSessionDescription({
+                    type: "offer",
+                    sdp: callSession.whatsappOfferSdp
+                }));
+                callSession.logger.debug("WhatsApp offer SDP set as remote description");
+
+                // Wait for WhatsApp audio track
+                await trackWait.track;
+            } finally {
+                trackWait.cancel();
+            }
+
+            addAudioSenderTrack(callSession);
 
             // Create answer (now includes our outgoing audio track)
+            // getLocalSdp() applies the setup:active fix when it's sent to AiSensy
             const answer = await whatsappPc.createAnswer();
             await whatsappPc.setLocalDescription(answer);
-
-            // Fix setup attribute for WhatsApp
-            const finalSdp = answer.sdp.replace("a=setup:actpass", "a=setup:active");
-            console.log("✅ WhatsApp answer SDP prepared (with audio track)");
+            await gatherLocalCandidates(callSession);
+            callSession.logger.info("WhatsApp answer SDP prepared (with audio track)");
 
             resolve();
         } catch (error) {
-            console.error("❌ Error in setupWhatsAppWebRTC:", error);
+            callSession.logger.error("Error in setupWhatsAppWebRTC", { err: error });
             reject(error);
         }
     });
 }
 
+/**
+ * Local SDP to send to AiSensy, with the configured rewrites applied
+ *
+ * Answers get setup:active (WhatsApp rejects actpass in an answer). With
+ * ICE_ADVERTISE_HOST_ADDRESSES set, other host candidates are left out of the
+ * SDP. Nothing is bound: libwebrtc still gathers on every local address, and
+ * connectivity checks can still use them as peer-reflexive candidates.
+ */
+function getLocalSdp(callSession) {
+    const { type, sdp } = callSession.whatsappPc.localDescription;
+
+    return transformSdp(sdp, {
+        setupRole: type === "answer" ? "active" : null,
+        audioCodecs: SDP_AUDIO_CODECS,
+        opus: {
+            useinbandfec: SDP_OPUS_USEINBANDFEC,
+            usedtx: SDP_OPUS_USEDTX,
+            ...(SDP_OPUS_MAXAVERAGEBITRATE && { maxaveragebitrate: SDP_OPUS_MAXAVERAGEBITRATE })
+        },
+        ptime: SDP_PTIME,
+        hostAddresses: ICE_ADVERTISE_HOST_ADDRESSES
+    });
+}
+
+/**
+ * Resolve once ICE gathering completes, or after timeoutMs with whatever has been gathered
+ *
+ * Resolves true if gathering completed, false on timeout.
+ */
+function waitForIceGathering(callSession, timeoutMs) {
+    const whatsappPc = callSession.whatsappPc;
+
+    return new Promise((resolve) => {
+        if (whatsappPc.iceGatheringState === "complete") {
+            return resolve(true);
+        }
+
+        const finish = (complete) => {
+            clearTimeout(timeout);
+            whatsappPc.removeEventListener("icegatheringstatechange", onStateChange);
+            whatsappPc.removeEventListener("icecandidate", onCandidate);
+            resolve(complete);
+        };
+
+        const onStateChange = () => {
+            if (whatsappPc.iceGatheringState === "complete") {
+                finish(true);
+            }
+        };
+
+        // A null candidate also marks the end of gathering
+        const onCandidate = (event) => {
+            if (!event.candidate) {
+                finish(true);
+            }
+        };
+
+        const timeout = setTimeout(() => finish(false), timeoutMs);
+        whatsappPc.addEventListener("icegatheringstatechange", onStateChange);
+        whatsappPc.addEventListener("icecandidate", onCandidate);
+    });
+}
+
+/**
+ * Wait for local ICE candidates so the SDP sent to AiSensy carries them (no trickle ICE)
+ *
+ * Throws if nothing usable was gathered - WhatsApp would have no way to reach us.
+ */
+async function gatherLocalCandidates(callSession) {
+    const endTimer = iceGatheringDuration.startTimer();
+    const startedAt = Date.now();
+
+    const complete = await waitForIceGathering(callSession, ICE_GATHERING_TIMEOUT_MS);
+    endTimer({ result: complete ? "complete" : "timeout" });
+
+    // Count what will actually be advertised (after host-candidate filtering)
+    const candidates = {};
+    for (const line of getLocalSdp(callSession).split("\r\n")) {
+        const match = line.match(/^a=candidate:.* typ (\S+)/);
+        if (match) {
+            candidates[match[1]] = (candidates[match[1]] || 0) + 1;
+        }
+    }
+    const total = Object.values(candidates).reduce((sum, count) => sum + count, 0);
+    Object.entries(candidates).forEach(([type, count]) => iceCandidatesTotal.inc({ type }, count));
+
+    const detail = { complete, durationMs: Date.now() - startedAt, candidates };
+    logLifecycle(callSession.callId, "ice_gathering", detail);
+
+    if (total === 0) {
+        callSession.logger.error("No usable ICE candidates gathered", detail);
+        throw new Error(`No usable ICE candidates gathered (ICE_TRANSPORT_POLICY=${ICE_TRANSPORT_POLICY})`);
+    }
+
+    if (complete) {
+        callSession.logger.info("ICE gathering complete", detail);
+    } else {
+        callSession.logger.warn("ICE gathering timed out, sending the candidates gathered so far", detail);
+    }
+}
+
+/**
+ * Create a local offer for a business-initiated call
+ *
+ * Returns the offer SDP to send to AiSensy's call-initiate endpoint.
+ */
+async function createWhatsAppOffer(callSession) {
+    try {
+        const whatsappPc = createPeerConnection(callSession);
+
+        addAudioSenderTrack(callSession);
+
+        const offer = await whatsappPc.createOffer({ offerToReceiveAudio: true });
+        await whatsappPc.setLocalDescription(offer);
+        await gatherLocalCandidates(callSession);
+        callSession.logger.info("WhatsApp offer SDP created (with audio track)");
+
+        return getLocalSdp(callSession);
+    } catch (error) {
+        callSession.logger.error("Error in createWhatsAppOffer", { err: error });
+        throw error;
+    }
+}
+
+/**
+ * Apply WhatsApp's answer for a business-initiated call and wait for its audio track
+ */
+async function applyWhatsAppAnswer(callSession, answerSdp) {
+    try {
+        const { RTCSessionDescription } = requireWebRTC();
+        const trackWait = waitForWhatsAppTrack(callSession);
+
+        try {
+            await callSession.whatsappPc.setRemoteDescription(new RTCSessionDescription({
+                type: "answer",
+                sdp: answerSdp
+            }));
+            callSession.logger.debug("WhatsApp answer SDP set as remote description");
+
+            await trackWait.track;
+        } finally {
+            trackWait.cancel();
+        }
+    } catch (error) {
+        callSession.logger.error("Error in applyWhatsAppAnswer", { err: error });
+        throw error;
+    }
+}
+
+/**
+ * Wait for the WhatsApp peer connection to reach 'connected'
+ *
+ * Resolves true once connected, false on timeout or if the connection fails/closes.
+ */
+function waitForMediaConnected(callSession, timeoutMs) {
+    const whatsappPc = callSession.whatsappPc;
+
+    return new Promise((resolve) => {
+        if (!whatsappPc) {
+            return resolve(false);
+        }
+        if (whatsappPc.connectionState === "connected") {
+            return resolve(true);
+        }
+
+        const finish = (connected) => {
+            clearTimeout(timeout);
+            whatsappPc.removeEventListener("connectionstatechange", onStateChange);
+            resolve(connected);
+        };
+
+        const onStateChange = () => {
+            const state = whatsappPc.connectionState;
+            if (state === "connected") {
+                finish(true);
+            } else if (state === "failed" || state === "closed") {
+                finish(false);
+            }
+        };
+
+        const timeout = setTimeout(() => finish(false), timeoutMs);
+        whatsappPc.addEventListener("connectionstatechange", onStateChange);
+    });
+}
+
 module.exports = {
-    setupWhatsAppWebRTC
+    mediaEvents,
+    setupWhatsAppWebRTC,
+    createWhatsAppOffer,
+    applyWhatsAppAnswer,
+    waitForMediaConnected,
+    getLocalSdp
 };
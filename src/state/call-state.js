@@ -0,0 +1,101 @@
+/**
+ * Call State Machine
+ *
+ * Guarded state transitions for a CallSession:
+ *
+ *   ringing → negotiating → pre-accepted → accepted → in-conversation → ending → ended
+ *                                                                              ↘ failed
+ *
+ * Outbound calls skip pre-accept (negotiating → accepted). Any live state can
+ * move to ending or failed. Every transition is timestamped on the session,
+ * recorded in the lifecycle log and emitted on `callEvents`:
+ *
+ *   callEvents.on('transition', ({ callId, direction, from, to, at, detail }) => ...)
+ *   callEvents.on('accepted', ({ callId, direction, from, to, at, detail }) => ...)
+ */
+
+const EventEmitter = require('events');
+const { logLifecycle } = require('./lifecycle');
+
+const CALL_STATES = {
+    RINGING: 'ringing',
+    NEGOTIATING: 'negotiating',
+    PRE_ACCEPTED: 'pre-accepted',
+    ACCEPTED: 'accepted',
+    IN_CONVERSATION: 'in-conversation',
+    ENDING: 'ending',
+    ENDED: 'ended',
+    FAILED: 'failed'
+};
+
+const {
+    RINGING, NEGOTIATING, PRE_ACCEPTED, ACCEPTED, IN_CONVERSATION, ENDING, ENDED, FAILED
+} = CALL_STATES;
+
+// Allowed next states for each state
+const TRANSITIONS = {
+    [RINGING]: [NEGOTIATING, ENDING, FAILED],
+    [NEGOTIATING]: [PRE_ACCEPTED, ACCEPTED, ENDING, FAILED],
+    [PRE_ACCEPTED]: [ACCEPTED, ENDING, FAILED],
+    [ACCEPTED]: [IN_CONVERSATION, ENDING, FAILED],
+    [IN_CONVERSATION]: [ENDING, FAILED],
+    [ENDING]: [ENDED, FAILED],
+    [ENDED]: [],
+    [FAILED]: []
+};
+
+const callEvents = new EventEmitter();
+
+const canTransition = (callSession, to) => TRANSITIONS[callSession.state]?.includes(to) || false;
+
+const isTerminal = (callSession) => callSession.state === ENDED || callSession.state === FAILED;
+
+/**
+ * Move a call to a new state
+ *
+ * Returns false (and logs) if the transition isn't allowed from the current state
+ */
+function transition(callSession, to, detail = null) {
+    const from = callSession.state;
+    const callId = callSession.callId;
+
+    if (!canTransition(callSession, to)) {
+        callSession.logger.warn("Refused call state transition", { from, to });
+        logLifecycle(callId, "transition_refused", { from, to, ...(detail && { detail }) });
+        return false;
+    }
+
+    const at = Date.now();
+    callSession.state = to;
+    callSession.stateHistory.push({ state: to, at });
+
+    callSession.logger.info("Call state changed", { from, to });
+    logLifecycle(callId, "state", { from, to, ...(detail && { detail }) });
+
+    const payload = { callId, direction: callSession.direction, from, to, at, detail };
+    callEvents.emit('transition', payload);
+    callEvents.emit(to, payload);
+
+    return true;
+}
+
+/**
+ * Move an accepted call into conversation once ElevenLabs has started it
+ *
+ * Called after accept and again when the ElevenLabs conversation metadata
+ * arrives - whichever happens last completes the transition.
+ */
+function enterConversationIfReady(callSession) {
+    if (callSession.state === ACCEPTED && callSession.conversationId) {
+        transition(callSession, IN_CONVERSATION, { conversationId: callSession.conversationId });
+    }
+}
+
+module.exports = {
+    CALL_STATES,
+    callEvents,
+    canTransition,
+    isTerminal,
+    transition,
+    enterConversationIfReady
+};
@@ -0,0 +1,45 @@
+/**
+ * Call Lifecycle Log
+ * 
+ * Per-call log of lifecycle entries (webhook events handled, failures, ...).
+ * Kept separately from the CallSession so it survives cleanup and can be
+ * inspected after the call ended. Only the most recent calls are retained.
+ */
+
+const MAX_CALLS = 500;
+const MAX_ENTRIES_PER_CALL = 200;
+
+// Call ID -> [{ at, event, detail }], in insertion order (oldest call first)
+const logs = new Map();
+
+/**
+ * Append an entry to a call's lifecycle log
+ */
+function logLifecycle(callId, event, detail = null) {
+    if (!callId) {
+        return;
+    }
+
+    let entries = logs.get(callId);
+    if (!entries) {
+        entries = [];
+        logs.set(callId, entries);
+
+        // Evict the oldest call once over the limit
+        if (logs.size > MAX_CALLS) {
+            logs.delete(logs.keys().next().value);
+        }
+    }
+
+    entries.push({ at: new Date().toISOString(), event, detail });
+    if (entries.length > MAX_ENTRIES_PER_CALL) {
+        entries.shift();
+    }
+}
+
+const getLifecycle = (callId) => logs.get(callId) || null;
+
+module.exports = {
+    logLifecycle,
+    getLifecycle
+};
@@ -1,92 +1,122 @@
 /**
  * Call Session State Management
- * 
- * Manages state variables for the current call session
+ *
+ * Each call gets its own CallSession, keyed by AiSensy call ID and held in a
+ * registry so several calls can be bridged at the same time.
  */
 
-// State variables per call session
-let whatsappPc = null;
-let whatsappStream = null;
-let whatsappOfferSdp = null;
-let currentCallId = null;
-let elevenLabsWs = null;
-let conversationId = null;
-let audioSink = null;       // RTCAudioSink for extracting audio from WhatsApp
-let audioSource = null;     // RTCAudioSource for sending audio to WhatsApp
-let audioSendCount = 0;
-let audioSendEnabled = true; // Re-enabled after fixing ping response
-let audioSenderTrack = null; // Track for sending audio back to WhatsApp
-
-// Getters
-const getWhatsappPc = () => whatsappPc;
-const getWhatsappStream = () => whatsappStream;
-const getWhatsappOfferSdp = () => whatsappOfferSdp;
-const getCurrentCallId = () => currentCallId;
-const getElevenLabsWs = () => elevenLabsWs;
-const getConversationId = () => conversationId;
-const getAudioSink = () => audioSink;
-const getAudioSource = () => audioSource;
-const getAudioSendCount = () => audioSendCount;
-const getAudioSendEnabled = () => audioSendEnabled;
-const getAudioSenderTrack = () => audioSenderTrack;
-
-// Setters
-const setWhatsappPc = (value) => { whatsappPc = value; };
-const setWhatsappStream = (value) => { whatsappStream = value; };
-const setWhatsappOfferSdp = (value) => { whatsappOfferSdp = value; };
-const setCurrentCallId = (value) => { currentCallId = value; };
-const setElevenLabsWs = (value) => { elevenLabsWs = value; };
-const setConversationId = (value) => { conversationId = value; };
-const setAudioSink = (value) => { audioSink = value; };
-const setAudioSource = (value) => { audioSource = value; };
-const setAudioSendCount = (value) => { audioSendCount = value; };
-const incrementAudioSendCount = () => { audioSendCount++; };
-const setAudioSendEnabled = (value) => { audioSendEnabled = value; };
-const setAudioSenderTrack = (value) => { audioSenderTrack = value; };
-
-// Reset all state
-const resetState = () => {
-    whatsappPc = null;
-    whatsappStream = null;
-    whatsappOfferSdp = null;
-    currentCallId = null;
-    elevenLabsWs = null;
-    conversationId = null;
-    audioSink = null;
-    audioSource = null;
-    audioSendCount = 0;
-    audioSendEnabled = true;
-    audioSenderTrack = null;
+const logger = require('../utils/logger');
+
+/**
+ * State for a single call
+ */
+class CallSession {
+    constructor(callId, direction = 'inbound') {
+        this.callId = callId;
+        this.direction = direction;     // 'inbound' (caller dialed us) or 'outbound' (business-initiated)
+
+        // WhatsApp WebRTC leg
+        this.whatsappPc = null;
+        this.whatsappStream = null;
+        this.whatsappOfferSdp = null;
+        this.audioSink = null;          // RTCAudioSink for extracting audio from WhatsApp
+        this.audioSource = null;        // RTCAudioSource for sending audio to WhatsApp
+        this.audioSenderTrack = null;   // Track for sending audio back to WhatsApp
+        this.selectedCandidatePair = null; // ICE pair in use, from getStats once connected
+        this.iceRecoveryTimer = null;   // Grace timer while the media path is disconnected
+
+        // ElevenLabs leg
+        this.elevenLabsWs = null;
+        this.conversationId = null;
+        this.elevenLabsConnectedAt = null;
+        this.firstAgentAudioAt = null;
+        this.elevenLabsReconnecting = false;
+        this.previousConversationIds = [];  // Conversations replaced by a mid-call reconnect
+        this.transcript = [];           // { role: 'user' | 'agent', text, at, eventId, originalText?, correctedAt? } turns, oldest first
+        this.agentOutputFormat = null;  // { name, encoding, sampleRate } from conversation metadata
+        this.userInputFormat = null;    // Format the agent expects caller audio in
+        this.lastInterruptedEventId = null; // Audio events up to this ID belong to an interrupted response
+
+        // Caller → ElevenLabs audio
+        this.audioSendCount = 0;
+        this.audioSendEnabled = true;   // Re-enabled after fixing ping response
+        this.voiceProcessing = null;    // Per-call voice processing overrides { enabled, silenceMode, agc }
+
+        // ElevenLabs → caller playback
+        this.playout = null;            // Ring buffer + playout state (see audio/playback.js)
+        this.audioPlaybackTimer = null;
+        this.playbackUnderruns = 0;     // Times agent audio ran dry mid-response
+        this.playbackOverruns = 0;      // Times the buffer passed its high-water mark
+        this.elevenLabsAudioCount = 0;
+        this.agentResampler = null;     // Agent output rate → WHATSAPP_SAMPLE_RATE
+        this.pendingAgentAudio = [];    // Audio received before the output format was known
+        this.holdToneTimer = null;      // Hold tone while ElevenLabs reconnects
+        this.interruptionCount = 0;     // Caller barge-ins while the agent was speaking
+        this.interruptedSpeechMs = 0;   // Agent speech dropped because of barge-ins
+
+        // Caller info
+        this.callerName = null;
+        this.callerNumber = null;
+        this.agentContext = null;       // Extra context passed to the ElevenLabs agent
+
+        // Recording
+        this.recordingEnabled = null;   // Per-call override of RECORDING_ENABLED
+        this.recorder = null;           // CallRecorder while the call is being recorded
+        this.recordingStartedAt = null;
+
+        // Filled in from the AiSensy "terminate" webhook
+        this.terminateStatus = null;
+        this.duration = null;           // Seconds, as reported by AiSensy
+        this.endReason = null;          // Why we ended the call ourselves (hangup, reject, agent ended...)
+
+        this.createdAt = Date.now();
+        this.endedAt = null;
+
+        // Call state machine (see state/call-state.js)
+        this.state = 'ringing';
+        this.stateHistory = [{ state: 'ringing', at: this.createdAt }];
+
+        // Logger bound to this call's IDs (conversationId appears once ElevenLabs starts)
+        this.logger = logger.child(() => ({
+            callId: this.callId,
+            conversationId: this.conversationId || undefined
+        }));
+    }
+}
+
+// Active calls keyed by AiSensy call ID
+const sessions = new Map();
+
+/**
+ * Create and register a session for a call, replacing any existing one
+ */
+const createSession = (callId, direction) => {
+    const callSession = new CallSession(callId, direction);
+    sessions.set(callId, callSession);
+    return callSession;
 };
 
+/**
+ * Register a session built before its call ID was known (outbound calls)
+ */
+const registerSession = (callSession) => {
+    sessions.set(callSession.callId, callSession);
+    return callSession;
+};
+
+const getSession = (callId) => sessions.get(callId) || null;
+const removeSession = (callId) => sessions.delete(callId);
+const getAllSessions = () => Array.from(sessions.values());
+const getSessionCount = () => sessions.size;
+
 module.exports = {
-    // Getters
-    getWhatsappPc,
-    getWhatsappStream,
-    getWhatsappOfferSdp,
-    getCurrentCallId,
-    getElevenLabsWs,
-    getConversationId,
-    getAudioSink,
-    getAudioSource,
-    getAudioSendCount,
-    getAudioSendEnabled,
-    getAudioSenderTrack,
-
-    // Setters
-    setWhatsappPc,
-    setWhatsappStream,
-    setWhatsappOfferSdp,
-    setCurrentCallId,
-    setElevenLabsWs,
-    setConversationId,
-    setAudioSink,
-    setAudioSource,
-    setAudioSendCount,
-    incrementAudioSendCount,
-    setAudioSendEnabled,
-    setAudioSenderTrack,
-
-    // Reset
-    resetState
+    CallSession,
+
+    // Registry
+    createSession,
+    registerSession,
+    getSession,
+    removeSession,
+    getAllSessions,
+    getSessionCount
 };
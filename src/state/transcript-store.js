@@ -0,0 +1,141 @@
+/**
+ * Transcript Store
+ *
+ * Where finished and in-progress call transcripts are kept. A store is any
+ * object with:
+ * - save(callId, transcript) → Promise, replacing what was stored for the call
+ * - load(callId) → Promise of the transcript, or null if there is none
+ * - deleteOlderThan(cutoffMs) → Promise of the number of transcripts deleted
+ *   that were last saved before `cutoffMs` (optional; used for retention)
+ *
+ * Built-in stores (TRANSCRIPT_STORE):
+ * - "file": one JSON file per call in TRANSCRIPT_DIR, written atomically
+ * - "memory": the most recent 500 calls, lost on restart
+ *
+ * Other backends (a database, object storage, ...) can be installed with
+ * setTranscriptStore() before the server starts taking calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { TRANSCRIPT_STORE, TRANSCRIPT_DIR } = require('../config');
+const { getCallFileBasePath } = require('../utils/call.files');
+
+const MAX_MEMORY_CALLS = 500;
+
+/**
+ * Store keeping each transcript as <name>.json in `dir`
+ *
+ * (named from the call ID by utils/call.files.js)
+ */
+function createFileStore(dir) {
+    const directory = path.resolve(dir);
+    const filePath = (callId) => `${getCallFileBasePath(directory, callId)}.json`;
+
+    return {
+        name: "file",
+
+        async save(callId, transcript) {
+            const target = filePath(callId);
+            const temp = `${target}.tmp`;
+
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(transcript, null, 2));
+            await fs.promises.rename(temp, target);
+        },
+
+        async load(callId) {
+            try {
+                return JSON.parse(await fs.promises.readFile(filePath(callId), "utf8"));
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async deleteOlderThan(cutoffMs) {
+            let names;
+            try {
+                names = await fs.promises.readdir(directory);
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return 0;
+                }
+                throw error;
+            }
+
+            let deleted = 0;
+            for (const name of names.filter((file) => /\.json(\.tmp)?$/.test(file))) {
+                const file = path.join(directory, name);
+                const stats = await fs.promises.stat(file);
+                if (stats.isFile() && stats.mtimeMs < cutoffMs) {
+                    await fs.promises.unlink(file);
+                    deleted++;
+                }
+            }
+            return deleted;
+        }
+    };
+}
+
+/**
+ * Store keeping the most recent transcripts in memory
+ */
+function createMemoryStore() {
+    // Call ID -> { transcript, savedAt }, in save order (least recently saved first)
+    const transcripts = new Map();
+
+    return {
+        name: "memory",
+
+        async save(callId, transcript) {
+            transcripts.delete(callId);
+            transcripts.set(callId, { transcript: structuredClone(transcript), savedAt: Date.now() });
+
+            // Evict the oldest call once over the limit
+            if (transcripts.size > MAX_MEMORY_CALLS) {
+                transcripts.delete(transcripts.keys().next().value);
+            }
+        },
+
+        async load(callId) {
+            const entry = transcripts.get(callId);
+            return entry ? structuredClone(entry.transcript) : null;
+        },
+
+        async deleteOlderThan(cutoffMs) {
+            let deleted = 0;
+            for (const [callId, { savedAt }] of transcripts) {
+                if (savedAt < cutoffMs) {
+                    transcripts.delete(callId);
+                    deleted++;
+                }
+            }
+            return deleted;
+        }
+    };
+}
+
+let store = TRANSCRIPT_STORE === "memory" ? createMemoryStore() : createFileStore(TRANSCRIPT_DIR);
+
+/**
+ * Replace the transcript store (custom backends)
+ */
+function setTranscriptStore(customStore) {
+    if (typeof customStore?.save !== "function" || typeof customStore?.load !== "function") {
+        throw new Error("A transcript store needs save(callId, transcript) and load(callId) functions");
+    }
+    store = customStore;
+}
+
+const getTranscriptStore = () => store;
+
+module.exports = {
+    createFileStore,
+    createMemoryStore,
+    setTranscriptStore,
+    getTranscriptStore
+};
@@ -0,0 +1,71 @@
+/**
+ * Webhook Event De-duplication
+ * 
+ * AiSensy retries webhook deliveries, so the same call event can arrive more
+ * than once. Remembers recently processed events (call ID + event + timestamp)
+ * and recently terminated calls for a limited time.
+ */
+
+const { WEBHOOK_DEDUP_TTL_SECONDS } = require('../config');
+
+const TTL_MS = WEBHOOK_DEDUP_TTL_SECONDS * 1000;
+
+// Event key -> expiry (ms)
+const seenEvents = new Map();
+
+// Call ID -> expiry (ms), for terminates that may arrive before their connect
+const terminatedCalls = new Map();
+
+const prune = (map, now) => {
+    for (const [key, expiresAt] of map) {
+        if (expiresAt <= now) {
+            map.delete(key);
+        }
+    }
+};
+
+const eventKey = (callId, event, timestamp) => `${callId}:${event}:${timestamp ?? ''}`;
+
+/**
+ * Record an event and report whether it was already seen within the TTL
+ */
+function isDuplicateEvent(callId, event, timestamp) {
+    const now = Date.now();
+    prune(seenEvents, now);
+
+    const key = eventKey(callId, event, timestamp);
+    if (seenEvents.has(key)) {
+        return true;
+    }
+
+    seenEvents.set(key, now + TTL_MS);
+    return false;
+}
+
+/**
+ * Forget an event so a retried delivery is processed again (used when processing failed)
+ */
+function forgetEvent(callId, event, timestamp) {
+    seenEvents.delete(eventKey(callId, event, timestamp));
+}
+
+/**
+ * Remember that a call was terminated, so a late 'connect' for it is ignored
+ */
+function markCallTerminated(callId) {
+    const now = Date.now();
+    prune(terminatedCalls, now);
+    terminatedCalls.set(callId, now + TTL_MS);
+}
+
+function isCallTerminated(callId) {
+    const expiresAt = terminatedCalls.get(callId);
+    return expiresAt !== undefined && expiresAt > Date.now();
+}
+
+module.exports = {
+    isDuplicateEvent,
+    forgetEvent,
+    markCallTerminated,
+    isCallTerminated
+};
@@ -0,0 +1,49 @@
+/**
+ * Per-Call File Paths
+ *
+ * Recordings and transcripts are stored flat in a directory, one set of files
+ * per call, named "<safe call ID>-<hash>":
+ * - safe call ID: anything outside [A-Za-z0-9._=-] replaced by "_", so the
+ *   name stays readable and can't contain path separators
+ * - hash: first 12 hex characters of the call ID's SHA-256, so IDs that only
+ *   differ in replaced characters ("a/b", "a_b") never share a file
+ *
+ * Empty and dot-only call IDs are refused outright.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Whether a call ID can be mapped to a file name
+ */
+function isValidCallId(callId) {
+    const id = String(callId ?? "");
+    return id.length > 0 && !/^\.+$/.test(id);
+}
+
+/**
+ * Path of a call's files in `dir`, without extension
+ *
+ * Throws for invalid call IDs, or if the path would leave `dir`.
+ */
+function getCallFileBasePath(dir, callId) {
+    if (!isValidCallId(callId)) {
+        throw new Error(`Invalid call ID for a file name: ${JSON.stringify(String(callId ?? ""))}`);
+    }
+
+    const id = String(callId);
+    const hash = crypto.createHash('sha256').update(id).digest('hex').slice(0, 12);
+    const directory = path.resolve(dir);
+    const basePath = path.resolve(directory, `${id.replace(/[^A-Za-z0-9._=-]/g, "_")}-${hash}`);
+
+    if (path.dirname(basePath) !== directory) {
+        throw new Error(`Call file path escapes ${directory}`);
+    }
+    return basePath;
+}
+
+module.exports = {
+    isValidCallId,
+    getCallFileBasePath
+};
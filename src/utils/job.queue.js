@@ -0,0 +1,52 @@
+/**
+ * In-process Job Queue
+ * 
+ * Runs jobs asynchronously, one at a time per key, in the order they were
+ * enqueued. Jobs with different keys run concurrently. Used to process webhook
+ * events after the HTTP response has been sent while keeping per-call ordering.
+ */
+
+const logger = require('./logger');
+
+// Key -> promise for the last job queued under that key
+const tails = new Map();
+
+/**
+ * Queue a job under a key
+ * 
+ * @param {string} key - Jobs sharing a key run sequentially
+ * @param {Function} job - Async function to run
+ * @param {Function} onError - Called with the error if the job throws
+ */
+function enqueue(key, job, onError) {
+    const previous = tails.get(key) || Promise.resolve();
+
+    const next = previous
+        .then(() => job())
+        .catch((error) => {
+            try {
+                onError(error);
+            } catch (handlerError) {
+                logger.error("Error in job queue error handler", { key, err: handlerError });
+            }
+        })
+        .finally(() => {
+            // Drop the key once nothing else was queued behind this job
+            if (tails.get(key) === next) {
+                tails.delete(key);
+            }
+        });
+
+    tails.set(key, next);
+    return next;
+}
+
+/**
+ * Number of keys with jobs pending or running
+ */
+const getPendingKeyCount = () => tails.size;
+
+module.exports = {
+    enqueue,
+    getPendingKeyCount
+};
@@ -0,0 +1,143 @@
+/**
+ * Structured Logger
+ * 
+ * Writes one JSON object per line with a level, message and fields.
+ * Child loggers carry bound fields (e.g. callId, conversationId) so lines from
+ * concurrent calls can be told apart. Values under secret-looking field names
+ * (api_key, authorization, token, ...) are always replaced; phone numbers and
+ * SDP are redacted unless LOG_REDACT=false. LOG_LEVEL=silent logs nothing.
+ * 
+ *   const logger = require('../utils/logger');
+ *   logger.info("Server started", { port });
+ *   const callLogger = logger.child({ callId });
+ *   callLogger.warn("Accept failed", { status });
+ */
+
+const { LOG_LEVEL, LOG_REDACT } = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const minLevel = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+// Field names whose values are phone numbers
+const PHONE_KEYS = new Set([
+    "from", "to", "phoneNumber", "callerNumber", "caller_number", "receiverNumber",
+    "recipientId", "recipient_id", "wa_id"
+]);
+
+// Field names whose values are SDP blobs
+const SDP_KEYS = new Set(["sdp", "offerSdp", "answerSdp", "whatsappOfferSdp"]);
+
+// Field names whose values are credentials (matched anywhere in the name, any case)
+const SECRET_KEY_PATTERN = /api[-_]?key|authorization|password|secret|token|credential|cookie/i;
+
+const maskPhone = (value) => {
+    const text = String(value);
+    if (text.length <= 4) {
+        return "****";
+    }
+    return `${"*".repeat(text.length - 4)}${text.slice(-4)}`;
+};
+
+// Only values shaped like phone numbers are masked, so e.g. state names in from/to are kept
+const looksLikePhone = (value) => /^\+?\d{7,15}$/.test(String(value));
+
+const looksLikeSdp = (value) => typeof value === "string" && value.startsWith("v=0");
+
+/**
+ * Recursively redact secrets, and (with `personal`) phone numbers and SDP, from a value
+ */
+function redact(value, key = null, depth = 0, { personal = true } = {}) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    if (key && SECRET_KEY_PATTERN.test(key)) {
+        return "[redacted]";
+    }
+
+    if (personal && ((key && SDP_KEYS.has(key)) || looksLikeSdp(value))) {
+        return `[sdp ${String(value).length} bytes]`;
+    }
+
+    if (personal && key && PHONE_KEYS.has(key) && (typeof value === "string" || typeof value === "number") && looksLikePhone(value)) {
+        return maskPhone(value);
+    }
+
+    if (depth > 8 || typeof value !== "object") {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, null, depth + 1, { personal }));
+    }
+
+    const result = {};
+    for (const [k, v] of Object.entries(value)) {
+        result[k] = redact(v, k, depth + 1, { personal });
+    }
+    return result;
+}
+
+/**
+ * Turn Error objects into plain fields
+ */
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        result[key] = value instanceof Error
+            ? { message: value.message, name: value.name, stack: value.stack }
+            : value;
+    }
+    return result;
+}
+
+function write(level, msg, bindings, fields) {
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+
+    const bound = typeof bindings === "function" ? bindings() : bindings;
+    let entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...serializeFields({ ...bound, ...fields })
+    };
+
+    entry = redact(entry, null, 0, { personal: LOG_REDACT });
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger with bound fields
+ * 
+ * `bindings` can be an object, or a function returning one (evaluated per line,
+ * so values such as conversationId that appear later are picked up).
+ */
+function createLogger(bindings = {}) {
+    const resolveBindings = () => (typeof bindings === "function" ? bindings() : bindings);
+
+    return {
+        debug: (msg, fields = {}) => write("debug", msg, bindings, fields),
+        info: (msg, fields = {}) => write("info", msg, bindings, fields),
+        warn: (msg, fields = {}) => write("warn", msg, bindings, fields),
+        error: (msg, fields = {}) => write("error", msg, bindings, fields),
+        child: (childBindings) => createLogger(() => ({
+            ...resolveBindings(),
+            ...(typeof childBindings === "function" ? childBindings() : childBindings)
+        }))
+    };
+}
+
+module.exports = createLogger();
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
@@ -0,0 +1,211 @@
+/**
+ * Prometheus Metrics
+ * 
+ * Call, audio and upstream latency instrumentation, exposed on /metrics.
+ * Call outcomes and end reasons are collected from the call state machine's
+ * lifecycle events.
+ */
+
+const client = require('prom-client');
+const session = require('../state/session');
+const { getPendingKeyCount } = require('./job.queue');
+const { callEvents, CALL_STATES } = require('../state/call-state');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Calls
+
+const activeCalls = new client.Gauge({
+    name: 'calls_active',
+    help: 'Calls currently being handled',
+    registers: [register],
+    collect() {
+        this.set(session.getSessionCount());
+    }
+});
+
+const callsTotal = new client.Counter({
+    name: 'calls_total',
+    help: 'Finished calls by final outcome and end reason',
+    labelNames: ['direction', 'outcome', 'reason'],
+    registers: [register]
+});
+
+// Upstream latency
+
+const aisensyRequestDuration = new client.Histogram({
+    name: 'aisensy_request_duration_seconds',
+    help: 'Latency of AiSensy calling API requests',
+    labelNames: ['operation', 'result'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [register]
+});
+
+const elevenLabsConnectDuration = new client.Histogram({
+    name: 'elevenlabs_connect_duration_seconds',
+    help: 'Time to open the ElevenLabs WebSocket',
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [register]
+});
+
+const firstAgentAudioDuration = new client.Histogram({
+    name: 'elevenlabs_first_audio_seconds',
+    help: 'Time from ElevenLabs connect to the first agent audio chunk',
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20],
+    registers: [register]
+});
+
+const elevenLabsReconnectsTotal = new client.Counter({
+    name: 'elevenlabs_reconnects_total',
+    help: 'Mid-call ElevenLabs reconnects by outcome',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+// WebRTC
+
+const iceGatheringDuration = new client.Histogram({
+    name: 'ice_gathering_duration_seconds',
+    help: 'Time spent gathering local ICE candidates before sending SDP',
+    labelNames: ['result'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10],
+    registers: [register]
+});
+
+const iceCandidatesTotal = new client.Counter({
+    name: 'ice_candidates_total',
+    help: 'Local ICE candidates advertised to WhatsApp, by candidate type',
+    labelNames: ['type'],
+    registers: [register]
+});
+
+const mediaRecoveriesTotal = new client.Counter({
+    name: 'media_recoveries_total',
+    help: 'WhatsApp media-path disconnects by outcome (recovered within the grace period, or failed)',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+// Audio
+
+const audioFramesTotal = new client.Counter({
+    name: 'audio_frames_total',
+    help: 'Audio frames/chunks moved through the bridge',
+    labelNames: ['leg', 'direction'],
+    registers: [register]
+});
+
+const playbackUnderrunsTotal = new client.Counter({
+    name: 'playback_underruns_total',
+    help: 'Times agent audio ran dry mid-response and playout fell back to fill frames',
+    registers: [register]
+});
+
+const callerVadFramesTotal = new client.Counter({
+    name: 'caller_vad_frames_total',
+    help: 'Caller frames classified by voice activity detection (when voice processing is enabled)',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+const playbackOverrunsTotal = new client.Counter({
+    name: 'playback_overruns_total',
+    help: 'Times queued agent audio passed PLAYBACK_MAX_BUFFER_MS and the oldest audio was dropped',
+    registers: [register]
+});
+
+const agentInterruptionsTotal = new client.Counter({
+    name: 'agent_interruptions_total',
+    help: 'Times the caller barged in while the agent was speaking',
+    registers: [register]
+});
+
+const agentSpeechCutOffSeconds = new client.Counter({
+    name: 'agent_speech_cut_off_seconds_total',
+    help: 'Agent speech dropped because of interruptions (queued for playback, or arriving late from the interrupted response)',
+    labelNames: ['source'],
+    registers: [register]
+});
+
+const websocketErrorsTotal = new client.Counter({
+    name: 'websocket_errors_total',
+    help: 'WebSocket errors by upstream',
+    labelNames: ['upstream'],
+    registers: [register]
+});
+
+// Background jobs
+
+const pendingJobKeys = new client.Gauge({
+    name: 'job_queue_pending_keys',
+    help: 'Queue keys (webhook calls, transcript saves) with jobs pending or running',
+    registers: [register],
+    collect() {
+        this.set(getPendingKeyCount());
+    }
+});
+
+/**
+ * Start a timer for an AiSensy request; call the returned function with the result
+ */
+const startAisensyTimer = (operation) => {
+    const end = aisensyRequestDuration.startTimer({ operation });
+    return (success) => end({ result: success ? 'success' : 'failure' });
+};
+
+// End reasons passed to hangup/cleanup → calls_total `reason` label
+const END_REASONS = {
+    remote_terminate: 'remote_hangup',
+    admin_hangup: 'admin_hangup',
+    agent_ended: 'agent_ended',
+    rejected: 'rejected',
+    busy: 'busy',
+    shutdown: 'shutdown',
+    elevenlabs_disconnected: 'elevenlabs_disconnected',
+    media_disconnected: 'media_lost',
+    media_failed: 'media_lost'
+};
+
+/**
+ * Bounded `reason` label for a finished call
+ *
+ * Failed calls carry the setup error's message, which is reduced to
+ * "timeout" or "error" so it can't grow the label set.
+ */
+function getEndReasonLabel(outcome, reason) {
+    if (outcome === CALL_STATES.FAILED) {
+        return /timed out|timeout/i.test(reason || '') ? 'timeout' : 'error';
+    }
+    return END_REASONS[reason] || 'other';
+}
+
+// Count each call once when it reaches a final state
+[CALL_STATES.ENDED, CALL_STATES.FAILED].forEach((state) => {
+    callEvents.on(state, ({ direction, detail }) => {
+        callsTotal.inc({ direction, outcome: state, reason: getEndReasonLabel(state, detail?.reason) });
+    });
+});
+
+module.exports = {
+    register,
+    activeCalls,
+    callsTotal,
+    aisensyRequestDuration,
+    elevenLabsConnectDuration,
+    firstAgentAudioDuration,
+    elevenLabsReconnectsTotal,
+    iceGatheringDuration,
+    iceCandidatesTotal,
+    mediaRecoveriesTotal,
+    audioFramesTotal,
+    playbackUnderrunsTotal,
+    playbackOverrunsTotal,
+    callerVadFramesTotal,
+    agentInterruptionsTotal,
+    agentSpeechCutOffSeconds,
+    websocketErrorsTotal,
+    pendingJobKeys,
+    startAisensyTimer,
+    getEndReasonLabel
+};
@@ -0,0 +1,232 @@
+/**
+ * SDP Transform
+ *
+ * Parses SDP into session/media sections and applies rewrites before the
+ * SDP is sent to AiSensy:
+ * - setup role (answers must be setup:active, never actpass)
+ * - Opus fmtp parameters (useinbandfec, usedtx, maxaveragebitrate, ...)
+ * - dropping audio codecs we don't want negotiated
+ * - ptime
+ * - host candidates on addresses we don't want advertised
+ *
+ * Only the SDP sent over the signalling path is rewritten; the peer
+ * connection's own local description is left as libwebrtc produced it.
+ */
+
+// Static RTP payload types that may appear without an a=rtpmap line (RFC 3551)
+const STATIC_PAYLOAD_CODECS = {
+    0: "pcmu",
+    8: "pcma",
+    9: "g722",
+    13: "cn",
+    18: "g729"
+};
+
+/**
+ * Split SDP into a session section and one section per m= line
+ */
+function parseSdp(sdp) {
+    const lines = sdp.split(/\r?\n/).filter((line) => line.length > 0);
+    const parsed = { session: [], media: [] };
+
+    for (const line of lines) {
+        if (line.startsWith("m=")) {
+            const [kind, port, proto, ...payloads] = line.slice(2).split(" ");
+            parsed.media.push({ kind, port, proto, payloads, lines: [] });
+        } else if (parsed.media.length > 0) {
+            parsed.media[parsed.media.length - 1].lines.push(line);
+        } else {
+            parsed.session.push(line);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Serialize parsed SDP back to CRLF-terminated text
+ */
+function serializeSdp(parsed) {
+    const lines = [...parsed.session];
+    for (const section of parsed.media) {
+        lines.push(`m=${[section.kind, section.port, section.proto, ...section.payloads].join(" ")}`);
+        lines.push(...section.lines);
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Codec name (lower case) for each payload type in a media section
+ */
+function getCodecs(section) {
+    const codecs = new Map();
+    for (const payload of section.payloads) {
+        if (STATIC_PAYLOAD_CODECS[payload]) {
+            codecs.set(payload, STATIC_PAYLOAD_CODECS[payload]);
+        }
+    }
+    for (const line of section.lines) {
+        const match = line.match(/^a=rtpmap:(\d+) ([^/]+)/);
+        if (match) {
+            codecs.set(match[1], match[2].toLowerCase());
+        }
+    }
+    return codecs;
+}
+
+const audioSections = (parsed) => parsed.media.filter((section) => section.kind === "audio");
+
+/**
+ * Replace a=setup:actpass with the given role (session and media level)
+ */
+function setSetupRole(parsed, role) {
+    const rewrite = (line) => (line === "a=setup:actpass" ? `a=setup:${role}` : line);
+    parsed.session = parsed.session.map(rewrite);
+    for (const section of parsed.media) {
+        section.lines = section.lines.map(rewrite);
+    }
+    return parsed;
+}
+
+/**
+ * Merge parameters into the Opus a=fmtp line, adding the line if missing
+ *
+ * `null`/`undefined` values remove a parameter.
+ */
+function setOpusParameters(parsed, params) {
+    for (const section of audioSections(parsed)) {
+        for (const [payload, codec] of getCodecs(section)) {
+            if (codec !== "opus") {
+                continue;
+            }
+
+            const prefix = `a=fmtp:${payload} `;
+            const index = section.lines.findIndex((line) => line.startsWith(prefix));
+            const current = new Map();
+            if (index !== -1) {
+                for (const pair of section.lines[index].slice(prefix.length).split(";")) {
+                    const [key, value] = pair.trim().split("=");
+                    if (key) {
+                        current.set(key, value);
+                    }
+                }
+            }
+
+            for (const [key, value] of Object.entries(params)) {
+                if (value === null || value === undefined) {
+                    current.delete(key);
+                } else {
+                    current.set(key, String(typeof value === "boolean" ? Number(value) : value));
+                }
+            }
+
+            const fmtp = `${prefix}${[...current].map(([key, value]) => `${key}=${value}`).join(";")}`;
+            if (index !== -1) {
+                section.lines[index] = fmtp;
+            } else {
+                const rtpmapIndex = section.lines.findIndex((line) => line.startsWith(`a=rtpmap:${payload} `));
+                section.lines.splice(rtpmapIndex + 1, 0, fmtp);
+            }
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Keep only the listed audio codecs (by name, e.g. ["opus", "telephone-event"])
+ *
+ * A section is left untouched if none of its codecs are allowed, so a
+ * misconfiguration can't produce an m= line with no formats.
+ */
+function keepAudioCodecs(parsed, allowedCodecs) {
+    const allowed = allowedCodecs.map((codec) => codec.toLowerCase());
+
+    for (const section of audioSections(parsed)) {
+        const codecs = getCodecs(section);
+        const kept = section.payloads.filter((payload) => allowed.includes(codecs.get(payload)));
+        if (kept.length === 0 || kept.length === section.payloads.length) {
+            continue;
+        }
+
+        const dropped = new Set(section.payloads.filter((payload) => !kept.includes(payload)));
+        section.payloads = kept;
+        section.lines = section.lines.filter((line) => {
+            const match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+) /);
+            return !match || !dropped.has(match[1]);
+        });
+    }
+    return parsed;
+}
+
+/**
+ * Set a=ptime on audio sections
+ */
+function setPtime(parsed, ptimeMs) {
+    for (const section of audioSections(parsed)) {
+        const index = section.lines.findIndex((line) => line.startsWith("a=ptime:"));
+        if (index !== -1) {
+            section.lines[index] = `a=ptime:${ptimeMs}`;
+        } else {
+            section.lines.push(`a=ptime:${ptimeMs}`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Drop host candidates whose address isn't in the list (srflx/relay are kept)
+ */
+function keepHostCandidates(parsed, addresses) {
+    for (const section of parsed.media) {
+        section.lines = section.lines.filter((line) => {
+            // a=candidate:<foundation> <component> <transport> <priority> <address> <port> typ <type> ...
+            const match = line.match(/^a=candidate:\S+ \d+ \S+ \d+ (\S+) \d+ typ host/);
+            return !match || addresses.includes(match[1]);
+        });
+    }
+    return parsed;
+}
+
+/**
+ * Apply a set of rewrites to SDP text
+ *
+ * Options (all optional):
+ *   setupRole       - replaces actpass, e.g. "active" for answers
+ *   opus            - fmtp parameters to merge, e.g. { useinbandfec: true, usedtx: false }
+ *   audioCodecs     - codec names to keep
+ *   ptime           - packet time in ms
+ *   hostAddresses   - only advertise host candidates on these addresses
+ */
+function transformSdp(sdp, options = {}) {
+    const parsed = parseSdp(sdp);
+
+    if (options.setupRole) {
+        setSetupRole(parsed, options.setupRole);
+    }
+    if (options.audioCodecs?.length > 0) {
+        keepAudioCodecs(parsed, options.audioCodecs);
+    }
+    if (options.opus && Object.keys(options.opus).length > 0) {
+        setOpusParameters(parsed, options.opus);
+    }
+    if (options.ptime) {
+        setPtime(parsed, options.ptime);
+    }
+    if (options.hostAddresses?.length > 0) {
+        keepHostCandidates(parsed, options.hostAddresses);
+    }
+
+    return serializeSdp(parsed);
+}
+
+module.exports = {
+    parseSdp,
+    serializeSdp,
+    getCodecs,
+    setSetupRole,
+    setOpusParameters,
+    keepAudioCodecs,
+    setPtime,
+    keepHostCandidates,
+    transformSdp
+};
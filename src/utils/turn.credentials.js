@@ -0,0 +1,26 @@
+/**
+ * TURN REST API Credentials
+ *
+ * Time-limited TURN credentials derived from a secret shared with the TURN
+ * server (coturn `use-auth-secret` / `static-auth-secret`):
+ *
+ *   username   = "<expiry unix seconds>:<user>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a username/credential pair valid for ttlSeconds from now
+ */
+function createTurnCredentials(secret, user, ttlSeconds, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${user}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+    return { username, credential, expiresAt };
+}
+
+module.exports = {
+    createTurnCredentials
+};
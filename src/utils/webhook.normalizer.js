@@ -0,0 +1,103 @@
+/**
+ * Webhook Normalizer
+ * 
+ * Turns an AiSensy / WhatsApp Cloud webhook delivery into a flat list of typed events.
+ * A delivery can batch several entries, each with several changes, each carrying
+ * any number of calls, statuses and messages.
+ * 
+ * Event types:
+ * - call:    { type, callId, event, status, direction, from, to, callerName, timestamp, duration, sdp, sdpType, raw }
+ * - status:  { type, id, status, recipientId, timestamp, raw }
+ * - message: { type, id, from, messageType, timestamp, raw }
+ */
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Find the profile name for a number in a change's contacts
+ */
+function findContactName(contacts, number) {
+    const list = asArray(contacts);
+    const contact = list.find((c) => c?.wa_id && c.wa_id === number) || (list.length === 1 ? list[0] : null);
+    return contact?.profile?.name || "Unknown";
+}
+
+function normalizeCall(call, value) {
+    return {
+        type: "call",
+        callId: call.id || null,
+        event: call.event || null,
+        status: call.status || null,
+        direction: call.direction || null,
+        from: call.from || null,
+        to: call.to || null,
+        callerName: findContactName(value.contacts, call.from),
+        timestamp: call.timestamp ?? null,
+        duration: call.duration ?? null,
+        sdp: call.session?.sdp || null,
+        sdpType: call.session?.sdp_type || null,
+        raw: call
+    };
+}
+
+function normalizeStatus(status) {
+    return {
+        type: "status",
+        id: status.id || null,
+        status: status.status || null,
+        recipientId: status.recipient_id || null,
+        timestamp: status.timestamp ?? null,
+        raw: status
+    };
+}
+
+function normalizeMessage(message) {
+    return {
+        type: "message",
+        id: message.id || null,
+        from: message.from || null,
+        messageType: message.type || null,
+        timestamp: message.timestamp ?? null,
+        raw: message
+    };
+}
+
+/**
+ * Normalize a webhook body into a list of events, in delivery order
+ */
+function normalizeWebhook(body) {
+    const events = [];
+
+    asArray(body?.entry).forEach((entry) => {
+        asArray(entry?.changes).forEach((change) => {
+            const value = change?.value;
+            if (!value || typeof value !== 'object') {
+                return;
+            }
+
+            asArray(value.calls).forEach((call) => {
+                if (call && typeof call === 'object') {
+                    events.push(normalizeCall(call, value));
+                }
+            });
+
+            asArray(value.statuses).forEach((status) => {
+                if (status && typeof status === 'object') {
+                    events.push(normalizeStatus(status));
+                }
+            });
+
+            asArray(value.messages).forEach((message) => {
+                if (message && typeof message === 'object') {
+                    events.push(normalizeMessage(message));
+                }
+            });
+        });
+    });
+
+    return events;
+}
+
+module.exports = {
+    normalizeWebhook
+};
@@ -0,0 +1,39 @@
+/**
+ * WebRTC Native Module Loader
+ *
+ * @roamhq/wrtc ships a prebuilt native binary that can fail to load on an
+ * unsupported platform. Loading it here, once, keeps the HTTP server up so
+ * /ready can report the failure instead of the process crashing at require time.
+ */
+
+const logger = require('./logger');
+
+let wrtc = null;
+let wrtcLoadError = null;
+
+try {
+    wrtc = require('@roamhq/wrtc');
+} catch (error) {
+    wrtcLoadError = error;
+    logger.error("Failed to load @roamhq/wrtc - calls cannot be handled", { err: error });
+}
+
+const isWebRTCAvailable = () => wrtc !== null;
+
+const getWebRTCLoadError = () => wrtcLoadError;
+
+/**
+ * Get the wrtc module, throwing if the native binary did not load
+ */
+function requireWebRTC() {
+    if (!wrtc) {
+        throw new Error(`WebRTC unavailable: ${wrtcLoadError?.message || "@roamhq/wrtc not loaded"}`);
+    }
+    return wrtc;
+}
+
+module.exports = {
+    isWebRTCAvailable,
+    getWebRTCLoadError,
+    requireWebRTC
+};
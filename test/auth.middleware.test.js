@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+// Routes below are loaded without a key configured
+delete process.env.CALL_API_KEY;
+
+const { requireApiKey } = require('../src/middleware/auth.middleware');
+
+/**
+ * Serve one protected route and return a function that requests it
+ */
+async function serve(t, options) {
+    const app = express();
+    app.get("/calls/test", requireApiKey(options), (req, res) => res.json({ ok: true }));
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+
+    return (headers = {}) => fetch(`http://127.0.0.1:${server.address().port}/calls/test`, { headers });
+}
+
+test("accepts the key as a bearer token or X-API-Key", async (t) => {
+    const request = await serve(t, { apiKey: "s3cret-key" });
+
+    assert.strictEqual((await request({ authorization: "Bearer s3cret-key" })).status, 200);
+    assert.strictEqual((await request({ authorization: "bearer s3cret-key" })).status, 200);
+    assert.strictEqual((await request({ "x-api-key": "s3cret-key" })).status, 200);
+});
+
+test("rejects missing and wrong keys with 401", async (t) => {
+    const request = await serve(t, { apiKey: "s3cret-key" });
+
+    const missing = await request();
+    assert.strictEqual(missing.status, 401);
+    assert.deepStrictEqual(await missing.json(), { error: "Missing API key" });
+
+    const wrong = await request({ authorization: "Bearer s3cret-kez" });
+    assert.strictEqual(wrong.status, 401);
+    assert.deepStrictEqual(await wrong.json(), { error: "Invalid API key" });
+
+    assert.strictEqual((await request({ "x-api-key": "s3cret" })).status, 401);
+    assert.strictEqual((await request({ authorization: "Basic czNjcmV0LWtleQ==" })).status, 401);
+});
+
+test("fails closed when no key is configured", async (t) => {
+    const request = await serve(t, { apiKey: undefined });
+
+    assert.strictEqual((await request()).status, 503);
+    assert.strictEqual((await request({ authorization: "Bearer anything" })).status, 503);
+});
+
+test("the call API routes that end calls or expose call data require the key", async (t) => {
+    const app = express();
+    app.use(require('../src/routes/call.routes'));
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+
+    // No CALL_API_KEY in the test environment - the call API fails closed
+    const routes = [
+        ["POST", "/calls/wacid.1/hangup"],
+        ["POST", "/calls/wacid.1/reject"],
+        ["GET", "/calls/wacid.1/recording"],
+        ["GET", "/calls/wacid.1/recording/metadata"],
+        ["GET", "/calls/wacid.1/transcript"]
+    ];
+    for (const [method, path] of routes) {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { method });
+        assert.strictEqual(response.status, 503, `${method} ${path}`);
+    }
+});
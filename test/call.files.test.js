@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), "recordings-"));
+process.env.RECORDING_DIR = recordingDir;
+
+const { isValidCallId, getCallFileBasePath } = require('../src/utils/call.files');
+const { getRecording } = require('../src/services/recording.service');
+
+test.after(() => fs.rmSync(recordingDir, { recursive: true, force: true }));
+
+test("file names keep the readable call ID and add a hash of it", () => {
+    const basePath = getCallFileBasePath("/data", "wacid.HBgLOTE5ODc2NTQzMjEwFQIAEhggQ0Y=");
+
+    assert.match(basePath, /^\/data\/wacid\.HBgLOTE5ODc2NTQzMjEwFQIAEhggQ0Y=-[0-9a-f]{12}$/);
+    assert.strictEqual(getCallFileBasePath("/data", "wacid.1"), getCallFileBasePath("/data/", "wacid.1"));
+});
+
+test("call IDs that only differ in replaced characters get different files", () => {
+    const paths = ["a/b", "a_b", "a\\b", "a b"].map((callId) => getCallFileBasePath("/data", callId));
+
+    assert.strictEqual(new Set(paths).size, paths.length);
+    paths.forEach((basePath) => assert.strictEqual(path.dirname(basePath), "/data"));
+});
+
+test("empty and dot-only call IDs are refused", () => {
+    for (const callId of ["", ".", "..", "...", null, undefined]) {
+        assert.strictEqual(isValidCallId(callId), false, JSON.stringify(callId));
+        assert.throws(() => getCallFileBasePath("/data", callId), /Invalid call ID/);
+    }
+    assert.strictEqual(isValidCallId("..a"), true);
+});
+
+test("path separators and traversal stay inside the directory", () => {
+    for (const callId of ["../etc/passwd", "..\\..\\secret", "/abs/path", "a/../../b"]) {
+        assert.strictEqual(path.dirname(getCallFileBasePath("/data", callId)), "/data", callId);
+    }
+});
+
+test("dot-only call IDs have no recording", async () => {
+    assert.strictEqual(await getRecording(".."), null);
+    assert.strictEqual(await getRecording("."), null);
+});
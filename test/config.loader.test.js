@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ConfigError, loadConfig } = require('../src/config/loader');
+
+const SECRET = "sk-live-0123456789abcdef";
+
+let configDir;
+
+test.before(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+});
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+/**
+ * Write a config file for one test and return its path
+ */
+function writeConfigFile(name, contents) {
+    const filePath = path.join(configDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+}
+
+/**
+ * The ConfigError's list of problems for a config that should fail
+ */
+function loadErrors(options) {
+    try {
+        loadConfig(options);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError, `expected a ConfigError, got ${error}`);
+        return error.errors;
+    }
+    assert.fail("config was accepted");
+}
+
+test("a valid config is coerced, with env over file over defaults", () => {
+    const filePath = writeConfigFile("valid.yaml", [
+        "PORT: 8080",
+        "AISENSY_BASE_URL: https://aisensy.test/v1/",
+        "ICE_SERVERS:",
+        "  - urls: stun:stun.test:3478",
+        "  - urls: [turn:turn.test:3478]",
+        "    username: user",
+        "    credential: pass",
+        "HOLD_TONE_ENABLED: false"
+    ].join("\n"));
+
+    const settings = loadConfig({
+        filePath,
+        env: {
+            PORT: "9090",
+            AISENSY_API_KEY: ` ${SECRET} `,
+            VOICE_PROCESSING_ENABLED: "yes",
+            ICE_TRANSPORT_POLICY: "RELAY",
+            ICE_PORT_MIN: "40000",
+            ICE_PORT_MAX: "40100",
+            ICE_ADVERTISE_HOST_ADDRESSES: "10.0.0.5, fd00::5",
+            AISENSY_WEBHOOK_SIGNATURE_HEADER: "X-Signature",
+            MAX_CONCURRENT_CALLS: ""
+        }
+    });
+
+    assert.strictEqual(settings.PORT, 9090);
+    assert.strictEqual(settings.API_KEY, SECRET);
+    assert.strictEqual(settings.AISENSY_BASE_URL, "https://aisensy.test/v1");
+    assert.strictEqual(settings.HOLD_TONE_ENABLED, false);
+    assert.strictEqual(settings.VOICE_PROCESSING_ENABLED, true);
+    assert.strictEqual(settings.ICE_TRANSPORT_POLICY, "relay");
+    assert.deepStrictEqual([settings.ICE_PORT_MIN, settings.ICE_PORT_MAX], [40000, 40100]);
+    assert.deepStrictEqual(settings.ICE_ADVERTISE_HOST_ADDRESSES, ["10.0.0.5", "fd00::5"]);
+    assert.strictEqual(settings.WEBHOOK_SIGNATURE_HEADER, "x-signature");
+    assert.strictEqual(settings.ICE_SERVERS.length, 2);
+    // Empty env values fall through to the default
+    assert.strictEqual(settings.MAX_CONCURRENT_CALLS, 0);
+    assert.strictEqual(settings.TRANSCRIPT_STORE, "file");
+    assert.ok(Object.isFrozen(settings));
+});
+
+test("ICE_SERVERS also takes comma-separated URLs or a JSON array", () => {
+    assert.deepStrictEqual(loadConfig({ env: { ICE_SERVERS: "stun:a.test:3478, stun:b.test:3478" } }).ICE_SERVERS, [
+        { urls: "stun:a.test:3478" },
+        { urls: "stun:b.test:3478" }
+    ]);
+    assert.deepStrictEqual(loadConfig({ env: { ICE_SERVERS: '[{"urls":"turn:t.test","username":"u","credential":"c"}]' } }).ICE_SERVERS, [
+        { urls: "turn:t.test", username: "u", credential: "c" }
+    ]);
+});
+
+test("each type rejects values it can't coerce", () => {
+    const cases = [
+        [{ PORT: "80.5" }, "PORT must be an integer"],
+        [{ PORT: "0" }, "PORT must be at least 1"],
+        [{ PORT: "70000" }, "PORT must be at most 65535"],
+        [{ HOLD_TONE_ENABLED: "maybe" }, "HOLD_TONE_ENABLED must be one of true, 1, yes, on, false, 0, no, off"],
+        [{ TRANSCRIPT_STORE: "s3" }, "TRANSCRIPT_STORE must be one of file, memory"],
+        [{ AISENSY_BASE_URL: "aisensy.test" }, "AISENSY_BASE_URL must be an absolute URL"],
+        [{ AISENSY_BASE_URL: "ftp://aisensy.test" }, "AISENSY_BASE_URL must be an http(s) URL"],
+        [{ AISENSY_WEBHOOK_SIGNATURE_HEADER: "x signature" }, "AISENSY_WEBHOOK_SIGNATURE_HEADER must be an HTTP header name"],
+        [{ ICE_ADVERTISE_HOST_ADDRESSES: "10.0.0.5,not-an-ip" }, "(invalid: not-an-ip)"],
+        [{ TURN_URLS: "stun:turn.test" }, "each entry is a turn: or turns: URL"],
+        [{ ICE_SERVERS: "[{" }, "ICE_SERVERS is not valid JSON"],
+        [{ ICE_SERVERS: "http://stun.test" }, 'ICE_SERVERS entry 0 must have "urls" as stun:/turn: URL(s)']
+    ];
+
+    for (const [env, expected] of cases) {
+        const errors = loadErrors({ env });
+        assert.strictEqual(errors.length, 1, JSON.stringify(env));
+        assert.ok(errors[0].includes(expected), `${errors[0]} should include ${expected}`);
+        assert.ok(errors[0].endsWith("[from environment]"), errors[0]);
+    }
+});
+
+test("every invalid setting is reported at once, with its source", () => {
+    const filePath = writeConfigFile("some-invalid.json", JSON.stringify({ AUDIO_CHUNK_SIZE: "lots" }));
+    const errors = loadErrors({ filePath, env: { PORT: "nope", LOG_LEVEL: "verbose" } });
+
+    assert.deepStrictEqual(errors, [
+        'AUDIO_CHUNK_SIZE must be an integer (got "lots") [from CONFIG_FILE]',
+        'LOG_LEVEL must be one of debug, info, warn, error, silent (got "verbose") [from environment]',
+        'PORT must be an integer (got "nope") [from environment]'
+    ]);
+});
+
+test("cross-field checks run once every setting is valid on its own", () => {
+    const cases = [
+        [{ ICE_PORT_MIN: "40000" }, "ICE_PORT_MIN and ICE_PORT_MAX must be set together"],
+        [{ ICE_PORT_MIN: "40100", ICE_PORT_MAX: "40000" }, "ICE_PORT_MIN (40100) must not exceed ICE_PORT_MAX (40000)"],
+        [{ TURN_URLS: "turn:turn.test" }, "TURN_URLS needs TURN_SECRET"],
+        [{ TURN_SECRET: SECRET }, "TURN_SECRET is set but TURN_URLS is empty"],
+        [{ ICE_TRANSPORT_POLICY: "relay" }, "ICE_TRANSPORT_POLICY=relay needs a TURN server"],
+        [{ PLAYBACK_PREBUFFER_MS: "500", PLAYBACK_MAX_BUFFER_MS: "500" }, "PLAYBACK_PREBUFFER_MS (500) must be less than PLAYBACK_MAX_BUFFER_MS (500)"],
+        [{ WHATSAPP_SAMPLE_RATE: "44101" }, "WHATSAPP_SAMPLE_RATE must be a multiple of 100"],
+        [{ AUDIO_CHUNK_SIZE: "4001" }, "AUDIO_CHUNK_SIZE must be even"]
+    ];
+
+    for (const [env, expected] of cases) {
+        const errors = loadErrors({ env });
+        assert.strictEqual(errors.length, 1, JSON.stringify(env));
+        assert.ok(errors[0].startsWith(expected), `${errors[0]} should start with ${expected}`);
+    }
+
+    // Not reached while a single setting is invalid
+    assert.deepStrictEqual(loadErrors({ env: { ICE_PORT_MIN: "40000", PORT: "x" } }), ['PORT must be an integer (got "x") [from environment]']);
+});
+
+test("config file problems fail the load", () => {
+    const missing = path.join(configDir, "missing.yaml");
+    assert.match(loadErrors({ env: {}, filePath: missing })[0], /^CONFIG_FILE .*missing\.yaml could not be read/);
+
+    const notObject = writeConfigFile("list.yaml", "- PORT\n");
+    assert.match(loadErrors({ env: {}, filePath: notObject })[0], /must contain an object of settings$/);
+
+    const unknown = writeConfigFile("unknown.json", JSON.stringify({ PORT: 1, PROT: 2 }));
+    assert.match(loadErrors({ env: {}, filePath: unknown })[0], /unknown setting "PROT"$/);
+
+    const empty = writeConfigFile("empty.yaml", "");
+    assert.strictEqual(loadConfig({ env: {}, filePath: empty }).PORT, 19000);
+});
+
+test("secret values never appear in a ConfigError", () => {
+    const check = (options) => {
+        let message;
+        try {
+            loadConfig(options);
+        } catch (error) {
+            assert.ok(error instanceof ConfigError);
+            message = `${error.message}\n${error.errors.join("\n")}`;
+        }
+        assert.ok(message, "config was accepted");
+        assert.ok(!message.includes(SECRET), message);
+        return message;
+    };
+
+    // A secret setting with a value of the wrong type
+    const wrongType = writeConfigFile("secret-object.yaml", `AISENSY_API_KEY:\n  key: ${SECRET}\n`);
+    assert.match(check({ env: {}, filePath: wrongType }), /AISENSY_API_KEY must be a string \[from CONFIG_FILE\]/);
+
+    // ICE_SERVERS holds TURN credentials
+    check({ env: { ICE_SERVERS: JSON.stringify([{ urls: "http://turn.test", username: "u", credential: SECRET }]) } });
+    check({ env: { ICE_SERVERS: `[{"urls":"turn:turn.test","credential":"${SECRET}",}]` } });
+
+    // Cross-field errors about secrets
+    check({ env: { TURN_SECRET: SECRET } });
+
+    // Parse errors report a position, not the line they happened on
+    const badYaml = writeConfigFile("bad.yaml", `AISENSY_API_KEY: ${SECRET}: oops\n`);
+    assert.match(check({ env: {}, filePath: badYaml }), /is not valid YAML at line 1, column \d+$/);
+
+    const badJson = writeConfigFile("bad.json", `{"AISENSY_API_KEY": "${SECRET}",}`);
+    assert.match(check({ env: {}, filePath: badJson }), /is not valid JSON/);
+});
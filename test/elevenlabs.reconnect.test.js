@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+process.env.TRANSCRIPT_STORE = "memory";
+process.env.MEDIA_CONNECT_TIMEOUT_MS = "20";
+process.env.ELEVENLABS_RECONNECT_ATTEMPTS = "2";
+process.env.ELEVENLABS_RECONNECT_BASE_DELAY_MS = "10";
+
+const { mockModule } = require('./helpers/mock-module');
+const { waitFor, sleep } = require('./helpers/wait');
+const fakeWrtc = require('./helpers/fake-wrtc');
+
+mockModule("src/utils/wrtc", {
+    isWebRTCAvailable: () => true,
+    getWebRTCLoadError: () => null,
+    requireWebRTC: () => fakeWrtc
+});
+
+const aisensyCalls = [];
+const recordAisensy = (operation) => async (callId) => {
+    aisensyCalls.push({ operation, callId });
+    return true;
+};
+mockModule("src/services/aisensy.service", {
+    preAcceptCall: recordAisensy("pre-accept"),
+    acceptCall: recordAisensy("accept"),
+    rejectCall: recordAisensy("reject"),
+    terminateCall: recordAisensy("terminate"),
+    initiateCall: async () => null
+});
+
+// Sockets fail to open while this is set (simulates ElevenLabs being unreachable)
+let refuseConnections = false;
+
+/**
+ * Fake ws client - opens (or errors) on the next tick and records what was sent
+ */
+class FakeWebSocket extends EventEmitter {
+    static OPEN = 1;
+    static CLOSED = 3;
+    static instances = [];
+
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+
+        setImmediate(() => {
+            if (refuseConnections) {
+                this.emit("error", new Error("connect ECONNREFUSED"));
+                this.drop(1006);
+                return;
+            }
+            this.readyState = FakeWebSocket.OPEN;
+            this.emit("open");
+        });
+    }
+
+    send(data) {
+        if (typeof data === "string") {
+            this.sent.push(JSON.parse(data));
+        }
+    }
+
+    // Like ws, the close event follows a local close() asynchronously
+    close() {
+        setImmediate(() => this.drop(1000));
+    }
+
+    // Close from the ElevenLabs side with the given code
+    drop(code) {
+        if (this.readyState === FakeWebSocket.CLOSED) {
+            return;
+        }
+        this.readyState = FakeWebSocket.CLOSED;
+        this.emit("close", code, Buffer.from(""));
+    }
+
+    messagesOfType(type) {
+        return this.sent.filter((message) => message.type === type);
+    }
+}
+mockModule("node_modules/ws", FakeWebSocket);
+
+const session = require('../src/state/session');
+const { handleIncomingCall, cleanupConnections } = require('../src/handlers/call.handler');
+const { getLifecycle } = require('../src/state/lifecycle');
+
+/**
+ * Set up an incoming call through to accepted, returning its session and ElevenLabs socket
+ */
+async function startCall(callId) {
+    const callSession = session.createSession(callId, "inbound");
+    callSession.whatsappOfferSdp = "v=0";
+    callSession.agentContext = { reason: "follow-up" };
+    const socketCount = FakeWebSocket.instances.length;
+
+    await handleIncomingCall(callSession, "Test Caller", "919876543210");
+    assert.strictEqual(callSession.state === "accepted" || callSession.state === "in_conversation", true, `call is up (${callSession.state})`);
+    assert.strictEqual(FakeWebSocket.instances.length, socketCount + 1);
+
+    return { callSession, socket: callSession.elevenLabsWs };
+}
+
+const operationsFor = (callId) => aisensyCalls.filter((call) => call.callId === callId).map((call) => call.operation);
+
+test.afterEach(() => {
+    refuseConnections = false;
+    session.getAllSessions().forEach((callSession) => cleanupConnections(callSession.callId, { reason: "test" }));
+});
+
+test("an abnormal close reconnects and re-sends the caller and conversation context", async () => {
+    const callId = "wacid.elevenlabs-drop";
+    const { callSession, socket } = await startCall(callId);
+    callSession.transcript.push(
+        { role: "agent", text: "Hi, how can I help?" },
+        { role: "user", text: "I'd like to move my appointment." }
+    );
+
+    socket.drop(1006);
+    assert.strictEqual(callSession.elevenLabsReconnecting, true);
+
+    await waitFor(() => callSession.elevenLabsWs && callSession.elevenLabsWs !== socket && !callSession.elevenLabsReconnecting, { message: "reconnect" });
+    const reconnected = callSession.elevenLabsWs;
+
+    const [init] = reconnected.messagesOfType("conversation_initiation_client_data");
+    assert.deepStrictEqual(init.custom_llm_extra_body, { caller_name: "Test Caller", caller_number: "919876543210" });
+    assert.deepStrictEqual(init.dynamic_variables, { reason: "follow-up" });
+
+    const [update] = reconnected.messagesOfType("contextual_update");
+    assert.match(update.text, /reconnected to the same caller/);
+    assert.match(update.text, /Agent: Hi, how can I help\?\nCaller: I'd like to move my appointment\./);
+
+    // Still up, and the new socket is watched in turn
+    assert.strictEqual(session.getSession(callId), callSession);
+    assert.ok(!operationsFor(callId).includes("terminate"));
+    assert.ok(getLifecycle(callId).some((entry) => entry.event === "elevenlabs_reconnected"));
+
+    reconnected.drop(1000);
+    await waitFor(() => !session.getSession(callId), { message: "hangup after second close" });
+});
+
+test("a normal close (1000) hangs up without reconnecting", async () => {
+    const callId = "wacid.elevenlabs-agent-ended";
+    const { callSession, socket } = await startCall(callId);
+    const socketCount = FakeWebSocket.instances.length;
+
+    socket.drop(1000);
+    await waitFor(() => !session.getSession(callId), { message: "hangup" });
+    await sleep(30);
+
+    assert.deepStrictEqual(operationsFor(callId), ["pre-accept", "accept", "terminate"]);
+    assert.strictEqual(callSession.endReason, "agent_ended");
+    assert.strictEqual(callSession.state, "ended");
+    assert.strictEqual(FakeWebSocket.instances.length, socketCount, "no reconnect attempted");
+});
+
+test("the call is hung up once every reconnect attempt fails", async () => {
+    const callId = "wacid.elevenlabs-unreachable";
+    const { callSession, socket } = await startCall(callId);
+    const socketCount = FakeWebSocket.instances.length;
+
+    refuseConnections = true;
+    socket.drop(1011);
+    await waitFor(() => !session.getSession(callId), { message: "hangup" });
+
+    assert.strictEqual(FakeWebSocket.instances.length, socketCount + 2, "one socket per attempt");
+    assert.deepStrictEqual(operationsFor(callId), ["pre-accept", "accept", "terminate"]);
+    assert.strictEqual(callSession.endReason, "elevenlabs_disconnected");
+    assert.strictEqual(callSession.elevenLabsReconnecting, false);
+});
+
+test("a close caused by our own cleanup doesn't reconnect or hang up again", async () => {
+    const callId = "wacid.elevenlabs-local-close";
+    const { socket } = await startCall(callId);
+    const socketCount = FakeWebSocket.instances.length;
+
+    cleanupConnections(callId, { reason: "test" });
+    await sleep(30);
+
+    assert.strictEqual(socket.readyState, FakeWebSocket.CLOSED);
+    assert.strictEqual(FakeWebSocket.instances.length, socketCount);
+    assert.deepStrictEqual(operationsFor(callId), ["pre-accept", "accept"]);
+});
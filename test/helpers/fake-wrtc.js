@@ -0,0 +1,73 @@
+/**
+ * Fake @roamhq/wrtc
+ *
+ * Just enough of the WebRTC API for the WebRTC service to set up a call
+ * without the native module. A remote description containing "malformed"
+ * is rejected; any other one delivers an audio track on the next tick.
+ */
+
+class MediaStream {
+    getTracks() {
+        return [{ kind: "audio", enabled: true }];
+    }
+}
+
+class RTCSessionDescription {
+    constructor({ type, sdp }) {
+        this.type = type;
+        this.sdp = sdp;
+    }
+}
+
+class RTCPeerConnection extends EventTarget {
+    constructor(configuration) {
+        super();
+        this.configuration = configuration;
+        this.remoteDescription = null;
+        this.localDescription = null;
+        this.iceGatheringState = "complete";
+        this.connectionState = "new";
+        this.ontrack = null;
+    }
+
+    async setRemoteDescription(description) {
+        if (description.sdp.includes("malformed")) {
+            throw new Error("Failed to parse SessionDescription: malformed");
+        }
+        this.remoteDescription = description;
+        setImmediate(() => this.ontrack?.({ streams: [new MediaStream()] }));
+    }
+
+    addTrack() {}
+
+    async createOffer() {
+        return { type: "offer", sdp: "v=0\r\na=setup:actpass\r\na=candidate:1 1 udp 2122260223 10.0.0.1 50000 typ host\r\n" };
+    }
+
+    async createAnswer() {
+        return { type: "answer", sdp: "v=0\r\na=candidate:1 1 udp 2122260223 10.0.0.1 50000 typ host\r\n" };
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = description;
+    }
+
+    close() {
+        this.connectionState = "closed";
+    }
+}
+
+class RTCAudioSource {
+    createTrack() {
+        return { stop() {} };
+    }
+
+    onData() {}
+}
+
+module.exports = {
+    MediaStream,
+    RTCSessionDescription,
+    RTCPeerConnection,
+    nonstandard: { RTCAudioSource }
+};
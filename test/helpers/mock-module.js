@@ -0,0 +1,22 @@
+/**
+ * Test Module Mocks
+ *
+ * Replaces a module in the require cache, so code under test that requires
+ * it gets `exports` instead. Must run before the code under test is loaded.
+ */
+
+const path = require('path');
+
+/**
+ * @param {string} modulePath - Path relative to the repository root (e.g. "src/utils/wrtc")
+ * @param {object} exports - What require() should return
+ */
+function mockModule(modulePath, exports) {
+    const filename = require.resolve(path.join(__dirname, '../..', modulePath));
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+    return exports;
+}
+
+module.exports = {
+    mockModule
+};
@@ -0,0 +1,37 @@
+/**
+ * Test Wait Helpers
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Poll until `predicate()` is truthy, failing after `timeoutMs`
+ */
+async function waitFor(predicate, { timeoutMs = 2000, intervalMs = 5, message = "condition" } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await sleep(intervalMs);
+    }
+}
+
+/**
+ * A promise with its resolve/reject exposed
+ */
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+module.exports = {
+    sleep,
+    waitFor,
+    deferred
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = "debug";
+process.env.LOG_REDACT = "true";
+
+const logger = require('../src/utils/logger');
+
+const SDP = "v=0\r\no=- 4611 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\nm=audio 9 UDP/TLS/RTP/SAVPF 111\r\n";
+
+/**
+ * Run fn and return everything it wrote to stdout and stderr
+ */
+function captureOutput(fn) {
+    const chunks = [];
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = process.stderr.write = (chunk) => {
+        chunks.push(String(chunk));
+        return true;
+    };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return chunks.join("");
+}
+
+test("credentials and SDP never reach the log output", () => {
+    const fields = {
+        api_key: "key-abc123",
+        authorization: "Bearer tok-xyz789",
+        sdp: SDP,
+        request: { headers: { Authorization: "Basic dXNlcjpwYXNz", "x-api-key": "hdr-key-456" } },
+        iceServers: [{ urls: "turn:turn.example.com", credential: "turn-pass-000" }]
+    };
+
+    for (const level of ["debug", "info", "warn", "error"]) {
+        const output = captureOutput(() => logger[level]("Request", fields));
+        const entry = JSON.parse(output);
+
+        for (const secret of ["key-abc123", "tok-xyz789", "dXNlcjpwYXNz", "hdr-key-456", "turn-pass-000", "v=0", "IN IP4"]) {
+            assert.ok(!output.includes(secret), `${level} output contains ${secret}: ${output}`);
+        }
+        assert.strictEqual(entry.api_key, "[redacted]");
+        assert.strictEqual(entry.authorization, "[redacted]");
+        assert.match(entry.sdp, /^\[sdp \d+ bytes\]$/);
+        assert.strictEqual(entry.iceServers[0].urls, "turn:turn.example.com");
+    }
+});
+
+test("child loggers redact bound fields too", () => {
+    const child = logger.child({ callId: "call-1", token: "bound-secret" });
+    const output = captureOutput(() => child.info("Bound"));
+
+    assert.ok(!output.includes("bound-secret"), output);
+    assert.strictEqual(JSON.parse(output).callId, "call-1");
+});
+
+test("credentials are redacted even when personal data redaction is off", () => {
+    const redacted = logger.redact({ api_key: "key-abc123", sdp: SDP, from: "+15551234567" }, null, 0, { personal: false });
+
+    assert.deepStrictEqual(redacted, { api_key: "[redacted]", sdp: SDP, from: "+15551234567" });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { register, callsTotal, pendingJobKeys, getEndReasonLabel } = require('../src/utils/metrics');
+const { CALL_STATES, transition } = require('../src/state/call-state');
+const { enqueue } = require('../src/utils/job.queue');
+const { deferred } = require('./helpers/wait');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let nextCallId = 1;
+
+/**
+ * Take a minimal call from in-conversation to its final state
+ */
+function finishCall(outcome, reason, direction = "inbound") {
+    const callSession = {
+        callId: `call-${nextCallId++}`,
+        direction,
+        state: CALL_STATES.IN_CONVERSATION,
+        stateHistory: [],
+        logger: silentLogger
+    };
+    if (outcome === CALL_STATES.ENDED) {
+        transition(callSession, CALL_STATES.ENDING, { reason });
+    }
+    transition(callSession, outcome, { reason });
+}
+
+const countFor = async (labels) => {
+    const { values } = await callsTotal.get();
+    const match = values.find((value) => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+    return match ? match.value : 0;
+};
+
+test.beforeEach(() => callsTotal.reset());
+
+test("end reasons map to bounded labels", () => {
+    assert.strictEqual(getEndReasonLabel("ended", "remote_terminate"), "remote_hangup");
+    assert.strictEqual(getEndReasonLabel("ended", "admin_hangup"), "admin_hangup");
+    assert.strictEqual(getEndReasonLabel("ended", "agent_ended"), "agent_ended");
+    assert.strictEqual(getEndReasonLabel("ended", "rejected"), "rejected");
+    assert.strictEqual(getEndReasonLabel("ended", "media_disconnected"), "media_lost");
+    assert.strictEqual(getEndReasonLabel("ended", "media_failed"), "media_lost");
+    assert.strictEqual(getEndReasonLabel("ended", "something new"), "other");
+    assert.strictEqual(getEndReasonLabel("ended", undefined), "other");
+    assert.strictEqual(getEndReasonLabel("failed", "Timed out waiting for WhatsApp track"), "timeout");
+    assert.strictEqual(getEndReasonLabel("failed", "timeout of 5000ms exceeded"), "timeout");
+    assert.strictEqual(getEndReasonLabel("failed", "Pre-accept failed"), "error");
+});
+
+test("calls_total counts finished calls by direction, outcome and reason", async () => {
+    finishCall(CALL_STATES.ENDED, "remote_terminate");
+    finishCall(CALL_STATES.ENDED, "remote_terminate");
+    finishCall(CALL_STATES.ENDED, "media_failed", "outbound");
+    finishCall(CALL_STATES.FAILED, "Timed out waiting for WhatsApp track");
+
+    assert.strictEqual(await countFor({ direction: "inbound", outcome: "ended", reason: "remote_hangup" }), 2);
+    assert.strictEqual(await countFor({ direction: "outbound", outcome: "ended", reason: "media_lost" }), 1);
+    assert.strictEqual(await countFor({ direction: "inbound", outcome: "failed", reason: "timeout" }), 1);
+
+    const exposition = await register.metrics();
+    assert.ok(exposition.includes('calls_total{direction="inbound",outcome="ended",reason="remote_hangup"} 2'));
+});
+
+test("job_queue_pending_keys reports keys with queued or running jobs", async () => {
+    const gaugeValue = async () => (await pendingJobKeys.get()).values[0].value;
+    const blocker = deferred();
+
+    enqueue("call-a", () => blocker.promise, () => {});
+    const second = enqueue("call-a", () => {}, () => {});
+    const other = enqueue("call-b", () => blocker.promise, () => {});
+    assert.strictEqual(await gaugeValue(), 2);
+
+    blocker.resolve();
+    await Promise.all([second, other]);
+    assert.strictEqual(await gaugeValue(), 0);
+});
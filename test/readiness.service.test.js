@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+
+const { mockModule } = require('./helpers/mock-module');
+
+mockModule("src/utils/wrtc", {
+    isWebRTCAvailable: () => true,
+    getWebRTCLoadError: () => null,
+    requireWebRTC: () => {
+        throw new Error("not used");
+    }
+});
+
+// How each stub upstream answers: "ok", "down" (503) or "hang" (never responds)
+const upstreams = { aisensy: "ok", elevenlabs: "ok" };
+
+const stub = http.createServer((req, res) => {
+    const mode = upstreams[req.url.split("/")[1]];
+    if (mode === "hang") {
+        return;
+    }
+    // Base URLs usually 404 - anything below 500 counts as reachable
+    res.writeHead(mode === "down" ? 503 : 404).end();
+});
+
+let checkReadiness;
+let app;
+
+test.before(async () => {
+    stub.listen(0, "127.0.0.1");
+    await new Promise((resolve) => stub.once("listening", resolve));
+    const stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+    // Config is read when the service loads
+    Object.assign(process.env, {
+        AISENSY_PROJECT_ID: "project",
+        AISENSY_API_KEY: "key",
+        ELEVENLABS_AGENT_ID: "agent",
+        AISENSY_BASE_URL: `${stubUrl}/aisensy`,
+        ELEVENLABS_BASE_URL: `${stubUrl}/elevenlabs`,
+        READY_PROBE_UPSTREAMS: "true",
+        READY_PROBE_TIMEOUT_MS: "200"
+    });
+
+    ({ checkReadiness } = require('../src/services/readiness.service'));
+    app = express();
+    app.use(require('../src/routes/health.routes'));
+});
+
+test.after(() => {
+    stub.closeAllConnections();
+    stub.close();
+});
+
+test.beforeEach(() => {
+    upstreams.aisensy = "ok";
+    upstreams.elevenlabs = "ok";
+});
+
+test("ready when config, WebRTC and both upstreams are fine", async () => {
+    const { ready, checks } = await checkReadiness();
+
+    assert.strictEqual(ready, true);
+    assert.strictEqual(checks.aisensy.ok, true);
+    assert.strictEqual(checks.aisensy.status, 404);
+    assert.strictEqual(checks.elevenlabs.ok, true);
+    assert.deepStrictEqual(checks.config, { ok: true, missing: [] });
+});
+
+test("not ready when an upstream returns a 5xx", async () => {
+    upstreams.elevenlabs = "down";
+
+    const { ready, checks } = await checkReadiness();
+
+    assert.strictEqual(ready, false);
+    assert.strictEqual(checks.aisensy.ok, true);
+    assert.strictEqual(checks.elevenlabs.ok, false);
+    assert.strictEqual(checks.elevenlabs.status, 503);
+});
+
+test("not ready when an upstream can't be reached", async () => {
+    // A port nothing listens on
+    const closed = http.createServer();
+    closed.listen(0, "127.0.0.1");
+    await new Promise((resolve) => closed.once("listening", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    const { probeUpstream } = require('../src/services/readiness.service');
+    const result = await probeUpstream(`http://127.0.0.1:${port}/`);
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error, "ECONNREFUSED");
+});
+
+test("a hanging upstream times out after READY_PROBE_TIMEOUT_MS", async () => {
+    upstreams.aisensy = "hang";
+
+    const startedAt = Date.now();
+    const { ready, checks } = await checkReadiness();
+    const elapsedMs = Date.now() - startedAt;
+
+    assert.strictEqual(ready, false);
+    assert.strictEqual(checks.aisensy.ok, false);
+    assert.strictEqual(checks.aisensy.error, "ECONNABORTED");
+    assert.strictEqual(checks.elevenlabs.ok, true);
+    assert.ok(elapsedMs >= 190 && elapsedMs < 1500, `took ${elapsedMs}ms`);
+});
+
+test("/ready answers 200 when ready and 503 with the failing check otherwise", async (t) => {
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/ready`;
+
+    const ready = await fetch(url);
+    assert.strictEqual(ready.status, 200);
+    assert.strictEqual((await ready.json()).status, "ready");
+
+    upstreams.aisensy = "down";
+    const notReady = await fetch(url);
+    assert.strictEqual(notReady.status, 503);
+    const body = await notReady.json();
+    assert.strictEqual(body.status, "not_ready");
+    assert.strictEqual(body.checks.aisensy.ok, false);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Resampler } = require('../src/audio/resampler');
+
+const AMPLITUDE = 16000;
+
+/**
+ * One second of a sine tone as 16-bit samples (interleaved copies per channel)
+ */
+function tone(frequency, rate, { channels = 1, seconds = 1 } = {}) {
+    const frames = Math.round(rate * seconds);
+    const samples = new Int16Array(frames * channels);
+    for (let n = 0; n < frames; n++) {
+        const value = Math.round(AMPLITUDE * Math.sin((2 * Math.PI * frequency * n) / rate));
+        samples.fill(value, n * channels, (n + 1) * channels);
+    }
+    return samples;
+}
+
+/**
+ * RMS level relative to the input tone's, in dB, ignoring the filter's start-up
+ */
+function levelDb(samples, rate) {
+    const settled = samples.subarray(Math.round(rate * 0.05));
+    const meanSquare = settled.reduce((total, value) => total + value * value, 0) / settled.length;
+    return 20 * Math.log10(Math.sqrt(meanSquare) / (AMPLITUDE / Math.SQRT2));
+}
+
+/**
+ * Level of one frequency relative to the input tone's, in dB (Goertzel)
+ */
+function frequencyLevelDb(samples, rate, frequency) {
+    const settled = samples.subarray(Math.round(rate * 0.05));
+    const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / rate);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (const value of settled) {
+        const current = value + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+    const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+    return 20 * Math.log10((2 * Math.sqrt(power)) / settled.length / AMPLITUDE);
+}
+
+/**
+ * Run samples through a resampler in the given chunk sizes (cycling), joined
+ */
+function processInChunks(resampler, samples, chunkSizes) {
+    const outputs = [];
+    let offset = 0;
+    for (let i = 0; offset < samples.length; i++) {
+        const size = chunkSizes[i % chunkSizes.length];
+        outputs.push(resampler.process(samples.subarray(offset, offset + size)));
+        offset += size;
+    }
+
+    const joined = new Int16Array(outputs.reduce((total, chunk) => total + chunk.length, 0));
+    outputs.reduce((position, chunk) => {
+        joined.set(chunk, position);
+        return position + chunk.length;
+    }, 0);
+    return joined;
+}
+
+test("48kHz → 16kHz passes speech-band tones at unity gain", () => {
+    for (const frequency of [300, 1000, 3400, 6000]) {
+        const output = new Resampler({ inputRate: 48000, outputRate: 16000 }).process(tone(frequency, 48000));
+
+        assert.strictEqual(output.length, 16000);
+        assert.ok(Math.abs(levelDb(output, 16000)) < 0.5, `${frequency}Hz: ${levelDb(output, 16000).toFixed(2)}dB`);
+    }
+});
+
+test("48kHz → 16kHz stops tones above 8kHz instead of aliasing them", () => {
+    for (const frequency of [9500, 12000, 20000]) {
+        const output = new Resampler({ inputRate: 48000, outputRate: 16000 }).process(tone(frequency, 48000));
+
+        assert.ok(levelDb(output, 16000) < -50, `${frequency}Hz: ${levelDb(output, 16000).toFixed(2)}dB`);
+    }
+});
+
+test("16kHz → 48kHz keeps the tone and leaves no images", () => {
+    const output = new Resampler({ inputRate: 16000, outputRate: 48000 }).process(tone(1000, 16000));
+    assert.strictEqual(output.length, 48000);
+    assert.ok(Math.abs(levelDb(output, 48000)) < 0.5);
+
+    assert.ok(Math.abs(frequencyLevelDb(output, 48000, 1000)) < 0.5);
+
+    // Zero-stuffing images of the 1kHz tone around multiples of 16kHz
+    for (const image of [15000, 17000]) {
+        const level = frequencyLevelDb(output, 48000, image);
+        assert.ok(level < -60, `${image}Hz image: ${level.toFixed(2)}dB`);
+    }
+});
+
+test("stereo input is downmixed to mono", () => {
+    const output = new Resampler({ inputRate: 48000, outputRate: 16000, channels: 2 }).process(tone(1000, 48000, { channels: 2 }));
+
+    assert.strictEqual(output.length, 16000);
+    assert.ok(Math.abs(levelDb(output, 16000)) < 0.5);
+});
+
+test("chunked output is identical to one-shot output", () => {
+    const cases = [
+        { inputRate: 48000, outputRate: 16000, chunkSizes: [960] },
+        { inputRate: 48000, outputRate: 16000, chunkSizes: [1, 7, 480, 13, 2047] },
+        { inputRate: 22050, outputRate: 48000, chunkSizes: [441, 3, 1000, 1] },
+        { inputRate: 16000, outputRate: 48000, chunkSizes: [320, 1, 159] }
+    ];
+
+    for (const { inputRate, outputRate, chunkSizes } of cases) {
+        const input = tone(440, inputRate);
+        const oneShot = new Resampler({ inputRate, outputRate }).process(input);
+        const chunked = processInChunks(new Resampler({ inputRate, outputRate }), input, chunkSizes);
+
+        assert.deepStrictEqual(chunked, oneShot, `${inputRate} → ${outputRate} in chunks of ${chunkSizes}`);
+    }
+});
+
+test("equal rates pass samples through", () => {
+    const input = tone(1000, 16000);
+
+    assert.deepStrictEqual(new Resampler({ inputRate: 16000, outputRate: 16000 }).process(input), input);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseSdp, getCodecs, transformSdp } = require('../src/utils/sdp.transform');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+const libwebrtcOffer = readFixture("libwebrtc-offer.sdp");
+const whatsappOffer = readFixture("whatsapp-offer.sdp");
+
+// Lines of the first audio section
+const audioLines = (sdp) => parseSdp(sdp).media.find((section) => section.kind === "audio").lines;
+
+test("no options only normalizes line endings", () => {
+    const output = transformSdp(libwebrtcOffer);
+
+    assert.strictEqual(output, `${libwebrtcOffer.trimEnd().split("\n").join("\r\n")}\r\n`);
+});
+
+test("setupRole replaces actpass at media and session level", () => {
+    const media = transformSdp(libwebrtcOffer, { setupRole: "active" });
+    assert.ok(audioLines(media).includes("a=setup:active"));
+    assert.ok(!media.includes("a=setup:actpass"));
+
+    const session = transformSdp(whatsappOffer, { setupRole: "active" });
+    assert.ok(parseSdp(session).session.includes("a=setup:active"));
+    assert.ok(!session.includes("a=setup:actpass"));
+});
+
+test("setupRole leaves an explicit role alone", () => {
+    const passive = libwebrtcOffer.replace("a=setup:actpass", "a=setup:passive");
+
+    assert.ok(transformSdp(passive, { setupRole: "active" }).includes("a=setup:passive\r\n"));
+});
+
+test("opus parameters are merged into the existing fmtp line", () => {
+    const output = transformSdp(libwebrtcOffer, {
+        opus: { useinbandfec: false, usedtx: true, maxaveragebitrate: 32000, minptime: null }
+    });
+    const fmtp = audioLines(output).filter((line) => line.startsWith("a=fmtp:111 "));
+
+    assert.deepStrictEqual(fmtp, ["a=fmtp:111 useinbandfec=0;usedtx=1;maxaveragebitrate=32000"]);
+    // Other codecs' fmtp lines are untouched
+    assert.ok(audioLines(output).includes("a=fmtp:63 111/111"));
+});
+
+test("opus parameters add an fmtp line after the rtpmap when there is none", () => {
+    const lines = audioLines(transformSdp(whatsappOffer, { opus: { useinbandfec: true, usedtx: false } }));
+    const rtpmapIndex = lines.indexOf("a=rtpmap:111 opus/48000/2");
+
+    assert.strictEqual(lines[rtpmapIndex + 1], "a=fmtp:111 useinbandfec=1;usedtx=0");
+});
+
+test("audioCodecs prunes payloads and their rtpmap, fmtp and rtcp-fb lines", () => {
+    const output = transformSdp(libwebrtcOffer, { audioCodecs: ["opus", "telephone-event"] });
+    const [section] = parseSdp(output).media;
+
+    assert.deepStrictEqual(section.payloads, ["111", "110", "126"]);
+    assert.deepStrictEqual([...getCodecs(section).values()], ["opus", "telephone-event", "telephone-event"]);
+    assert.ok(!section.lines.some((line) => /^a=(rtpmap|fmtp|rtcp-fb):(63|9|0|8|13) /.test(line)));
+    assert.ok(section.lines.includes("a=rtcp-fb:111 transport-cc"));
+});
+
+test("audioCodecs recognizes static payload types without an rtpmap", () => {
+    const output = transformSdp(whatsappOffer, { audioCodecs: ["opus", "pcma"] });
+
+    assert.deepStrictEqual(parseSdp(output).media[0].payloads, ["111", "8"]);
+});
+
+test("audioCodecs leaves a section alone rather than removing every codec", () => {
+    const output = transformSdp(whatsappOffer, { audioCodecs: ["isac"] });
+
+    assert.deepStrictEqual(parseSdp(output).media[0].payloads, ["111", "0", "8", "126"]);
+});
+
+test("ptime is added, or replaces the existing value", () => {
+    const added = audioLines(transformSdp(libwebrtcOffer, { ptime: 40 }));
+    assert.deepStrictEqual(added.filter((line) => line.startsWith("a=ptime:")), ["a=ptime:40"]);
+
+    const replaced = audioLines(transformSdp(whatsappOffer, { ptime: 60 }));
+    assert.deepStrictEqual(replaced.filter((line) => line.startsWith("a=ptime:")), ["a=ptime:60"]);
+});
+
+test("hostAddresses drops other host candidates but keeps srflx and relay", () => {
+    const output = transformSdp(libwebrtcOffer, { hostAddresses: ["10.0.0.5"] });
+    const candidates = audioLines(output)
+        .filter((line) => line.startsWith("a=candidate:"))
+        .map((line) => line.split(" ").slice(4, 8).join(" "));
+
+    assert.deepStrictEqual(candidates, [
+        "10.0.0.5 52310 typ host",
+        "203.0.113.7 52310 typ srflx",
+        "198.51.100.20 3478 typ relay"
+    ]);
+});
+
+test("all rewrites together on a WhatsApp offer", () => {
+    const output = transformSdp(whatsappOffer, {
+        setupRole: "active",
+        audioCodecs: ["opus", "telephone-event"],
+        opus: { useinbandfec: true },
+        ptime: 20,
+        hostAddresses: ["192.0.2.1"]
+    });
+
+    assert.strictEqual(output, [
+        "v=0",
+        "o=- 1749196895 1749196895 IN IP4 0.0.0.0",
+        "s=-",
+        "t=0 0",
+        "a=setup:active",
+        "a=fingerprint:sha-256 0D:9C:21:6A:77:F4:3B:1E:5C:8A:44:E2:90:3F:61:D7:2A:B8:05:CE:19:7D:60:F1:8E:4B:A3:52:C6:0E:97:DD",
+        "a=ice-ufrag:wa7Q",
+        "a=ice-pwd:c4C2kY1bJx0qfG8pLr5uT3zN",
+        "a=group:BUNDLE audio",
+        "m=audio 3480 UDP/TLS/RTP/SAVPF 111 126",
+        "c=IN IP4 157.240.19.2",
+        "a=mid:audio",
+        "a=sendrecv",
+        "a=rtcp-mux",
+        "a=rtpmap:111 opus/48000/2",
+        "a=fmtp:111 useinbandfec=1",
+        "a=rtpmap:126 telephone-event/8000",
+        "a=ptime:20",
+        ""
+    ].join("\r\n"));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TRANSCRIPT_STORE = "memory";
+process.env.TRANSCRIPT_RETENTION_DAYS = "30";
+
+const { createFileStore, createMemoryStore, setTranscriptStore } = require('../src/state/transcript-store');
+const { deleteExpiredTranscripts } = require('../src/services/transcript.service');
+const { getCallFileBasePath } = require('../src/utils/call.files');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const transcript = (callId) => ({ callId, turns: [{ role: "user", text: "Hello" }] });
+
+test("the file store saves, loads and deletes transcripts older than the cutoff", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transcripts-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const store = createFileStore(dir);
+    await store.save("wacid/old", transcript("wacid/old"));
+    await store.save("wacid.new", transcript("wacid.new"));
+    assert.deepStrictEqual(await store.load("wacid/old"), transcript("wacid/old"));
+
+    // Age one transcript past the cutoff
+    const old = new Date(Date.now() - 40 * DAY_MS);
+    fs.utimesSync(`${getCallFileBasePath(dir, "wacid/old")}.json`, old, old);
+
+    assert.strictEqual(await store.deleteOlderThan(Date.now() - 30 * DAY_MS), 1);
+    assert.strictEqual(await store.load("wacid/old"), null);
+    assert.deepStrictEqual(await store.load("wacid.new"), transcript("wacid.new"));
+});
+
+test("the file store keeps call IDs that sanitize alike apart and refuses dot-only IDs", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transcripts-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const store = createFileStore(dir);
+    await store.save("a/b", transcript("a/b"));
+    await store.save("a_b", transcript("a_b"));
+
+    assert.deepStrictEqual(await store.load("a/b"), transcript("a/b"));
+    assert.deepStrictEqual(await store.load("a_b"), transcript("a_b"));
+    assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+    for (const callId of ["..", ".", ""]) {
+        await assert.rejects(store.save(callId, transcript(callId)), /Invalid call ID/);
+        await assert.rejects(store.load(callId), /Invalid call ID/);
+    }
+});
+
+test("the file store treats a missing directory as empty", async () => {
+    const store = createFileStore(path.join(os.tmpdir(), "transcripts-missing-dir"));
+    assert.strictEqual(await store.load("wacid.1"), null);
+    assert.strictEqual(await store.deleteOlderThan(Date.now()), 0);
+});
+
+test("retention deletes transcripts last saved more than TRANSCRIPT_RETENTION_DAYS ago", async () => {
+    const store = createMemoryStore();
+    setTranscriptStore(store);
+
+    await store.save("wacid.1", transcript("wacid.1"));
+    assert.strictEqual(await deleteExpiredTranscripts(Date.now() + 29 * DAY_MS), 0);
+    assert.ok(await store.load("wacid.1"));
+
+    assert.strictEqual(await deleteExpiredTranscripts(Date.now() + 31 * DAY_MS), 1);
+    assert.strictEqual(await store.load("wacid.1"), null);
+});
+
+test("stores without deleteOlderThan are left alone", async () => {
+    setTranscriptStore({ name: "custom", save: async () => {}, load: async () => null });
+    assert.strictEqual(await deleteExpiredTranscripts(Date.now() + 365 * DAY_MS), 0);
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { verifyWebhookSignature, computeSignature } = require('../src/middleware/signature.middleware');
+const { preventWebhookReplay } = require('../src/middleware/replay.middleware');
+
+const SECRET = "test-webhook-secret";
+const NOW = Date.parse("2025-06-06T08:01:35Z");
+const NOW_SECONDS = String(NOW / 1000);
+
+// Recorded delivery, sent byte-for-byte as it was signed
+const payload = fs.readFileSync(path.join(__dirname, "fixtures/webhook-connect.json"));
+
+/**
+ * Serve the webhook middleware chain as app.js mounts it
+ */
+async function serve(t) {
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.post(
+        "/aisensy-webhook",
+        verifyWebhookSignature({ secret: SECRET }),
+        preventWebhookReplay({ enabled: true, toleranceSeconds: 300, now: () => NOW }),
+        (req, res) => res.json({ received: true, calls: req.body.entry[0].changes[0].value.calls.length })
+    );
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+
+    return ({ body = payload, headers = {} } = {}) => fetch(`http://127.0.0.1:${server.address().port}/aisensy-webhook`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body
+    });
+}
+
+const signedHeaders = ({ body = payload, timestamp = NOW_SECONDS, nonce } = {}) => ({
+    "x-aisensy-timestamp": timestamp,
+    "x-aisensy-signature": `sha256=${computeSignature(SECRET, body, timestamp)}`,
+    ...(nonce && { "x-aisensy-nonce": nonce })
+});
+
+test("a validly signed delivery is accepted", async (t) => {
+    const post = await serve(t);
+
+    const response = await post({ headers: signedHeaders({ nonce: "nonce-valid" }) });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { received: true, calls: 1 });
+});
+
+test("a bare hex signature is accepted too", async (t) => {
+    const post = await serve(t);
+    const headers = signedHeaders({ nonce: "nonce-bare-hex" });
+    headers["x-aisensy-signature"] = headers["x-aisensy-signature"].slice("sha256=".length);
+
+    assert.strictEqual((await post({ headers })).status, 200);
+});
+
+test("a tampered body is rejected", async (t) => {
+    const post = await serve(t);
+    const tampered = Buffer.from(payload.toString().replace("919876543210", "919876543211"));
+
+    const response = await post({ body: tampered, headers: signedHeaders({ nonce: "nonce-tampered" }) });
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(await response.json(), { error: "Invalid signature" });
+});
+
+test("a swapped timestamp invalidates the signature", async (t) => {
+    const post = await serve(t);
+    const headers = { ...signedHeaders({ nonce: "nonce-swapped" }), "x-aisensy-timestamp": String(NOW / 1000 + 1) };
+
+    const response = await post({ headers });
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(await response.json(), { error: "Invalid signature" });
+});
+
+test("a missing or malformed signature is rejected", async (t) => {
+    const post = await serve(t);
+
+    const missing = await post({ headers: { "x-aisensy-timestamp": NOW_SECONDS } });
+    assert.strictEqual(missing.status, 401);
+    assert.deepStrictEqual(await missing.json(), { error: "Missing signature" });
+
+    const malformed = await post({ headers: { "x-aisensy-timestamp": NOW_SECONDS, "x-aisensy-signature": "sha256=not-hex" } });
+    assert.strictEqual(malformed.status, 401);
+});
+
+test("a valid signature with trailing characters or a stray nibble is rejected", async (t) => {
+    const post = await serve(t);
+    const signature = computeSignature(SECRET, payload, NOW_SECONDS);
+
+    for (const variant of [`${signature}zz`, `${signature}0`, `sha256=${signature}00`, signature.slice(0, 63)]) {
+        const response = await post({ headers: { "x-aisensy-timestamp": NOW_SECONDS, "x-aisensy-signature": variant } });
+        assert.strictEqual(response.status, 401, variant);
+        assert.deepStrictEqual(await response.json(), { error: "Invalid signature" });
+    }
+});
+
+test("an upper-case signature is accepted", async (t) => {
+    const post = await serve(t);
+    const signature = computeSignature(SECRET, payload, NOW_SECONDS).toUpperCase();
+
+    const response = await post({ headers: { "x-aisensy-timestamp": NOW_SECONDS, "x-aisensy-signature": `sha256=${signature}` } });
+    assert.strictEqual(response.status, 200);
+});
+
+test("a stale or future timestamp is rejected even when correctly signed", async (t) => {
+    const post = await serve(t);
+
+    for (const offsetSeconds of [-301, 301]) {
+        const timestamp = String(NOW / 1000 + offsetSeconds);
+        const response = await post({ headers: signedHeaders({ timestamp, nonce: `nonce-stale${offsetSeconds}` }) });
+        assert.strictEqual(response.status, 401, `offset ${offsetSeconds}s`);
+        assert.deepStrictEqual(await response.json(), { error: "Stale webhook timestamp" });
+    }
+
+    // Inside the window, in any supported format
+    for (const timestamp of [String(NOW / 1000 - 299), String(NOW - 299000), new Date(NOW - 299000).toISOString()]) {
+        const response = await post({ headers: signedHeaders({ timestamp, nonce: `nonce-${timestamp}` }) });
+        assert.strictEqual(response.status, 200, timestamp);
+    }
+});
+
+test("a missing timestamp is rejected", async (t) => {
+    const post = await serve(t);
+    const headers = signedHeaders({ nonce: "nonce-no-timestamp" });
+    delete headers["x-aisensy-timestamp"];
+    headers["x-aisensy-signature"] = `sha256=${computeSignature(SECRET, payload)}`;
+
+    const response = await post({ headers });
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(await response.json(), { error: "Missing timestamp" });
+});
+
+test("a replayed delivery is rejected", async (t) => {
+    const post = await serve(t);
+    const headers = signedHeaders({ nonce: "nonce-replayed" });
+
+    assert.strictEqual((await post({ headers })).status, 200);
+
+    const replay = await post({ headers });
+    assert.strictEqual(replay.status, 401);
+    assert.deepStrictEqual(await replay.json(), { error: "Replayed webhook" });
+});
+
+test("without a nonce, a replayed signature is rejected", async (t) => {
+    const post = await serve(t);
+    const headers = signedHeaders();
+
+    assert.strictEqual((await post({ headers })).status, 200);
+    assert.strictEqual((await post({ headers })).status, 401);
+});
+
+test("a replay with a forged nonce is rejected", async (t) => {
+    const post = await serve(t);
+
+    assert.strictEqual((await post({ headers: signedHeaders({ nonce: "nonce-original" }) })).status, 200);
+
+    for (const nonce of ["forged-1", "forged-2"]) {
+        const replay = await post({ headers: signedHeaders({ nonce }) });
+        assert.strictEqual(replay.status, 401, nonce);
+        assert.deepStrictEqual(await replay.json(), { error: "Replayed webhook" });
+    }
+});
+
+test("a replay with a re-encoded signature is rejected", async (t) => {
+    const post = await serve(t);
+    const signature = computeSignature(SECRET, payload, NOW_SECONDS);
+
+    assert.strictEqual((await post({ headers: signedHeaders() })).status, 200);
+
+    for (const variant of [signature, `sha256=${signature.toUpperCase()}`, signature.toUpperCase(), `${signature}zz`, `${signature}0`]) {
+        const replay = await post({ headers: { "x-aisensy-timestamp": NOW_SECONDS, "x-aisensy-signature": variant } });
+        assert.strictEqual(replay.status, 401, variant);
+    }
+});
+
+test("replay protection alone rejects deliveries without a usable signature", async (t) => {
+    const app = express();
+    app.post("/aisensy-webhook", preventWebhookReplay({ enabled: true, toleranceSeconds: 300, now: () => NOW }), (req, res) => res.json({ received: true }));
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/aisensy-webhook`, {
+        method: "POST",
+        headers: { "x-aisensy-timestamp": NOW_SECONDS, "x-aisensy-signature": "sha256=abc" }
+    });
+    assert.strictEqual(response.status, 401);
+    assert.deepStrictEqual(await response.json(), { error: "Invalid signature" });
+});
+
+test("verification is skipped when no secret is configured", async (t) => {
+    const app = express();
+    app.use(express.json());
+    app.post("/aisensy-webhook", verifyWebhookSignature({ secret: undefined }), preventWebhookReplay({ enabled: false }), (req, res) => res.json({ received: true }));
+
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => server.close());
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/aisensy-webhook`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: payload
+    });
+    assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { normalizeWebhook } = require('../src/utils/webhook.normalizer');
+
+const connectDelivery = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures/webhook-connect.json"), "utf8"));
+
+// Drop `raw` (the untouched source object) to compare the normalized fields
+const withoutRaw = (events) => events.map(({ raw, ...event }) => event);
+
+test("a single connect delivery becomes one call event", () => {
+    const events = normalizeWebhook(connectDelivery);
+    const call = connectDelivery.entry[0].changes[0].value.calls[0];
+
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual(withoutRaw(events)[0], {
+        type: "call",
+        callId: call.id,
+        event: "connect",
+        status: null,
+        direction: "USER_INITIATED",
+        from: "919876543210",
+        to: "15550783881",
+        callerName: "Test Caller",
+        timestamp: "1749196895",
+        duration: null,
+        sdp: call.session.sdp,
+        sdpType: "offer"
+    });
+    assert.strictEqual(events[0].raw, call);
+});
+
+test("every call in a multi-call, multi-entry batch is kept, in delivery order", () => {
+    const body = {
+        entry: [
+            {
+                changes: [
+                    {
+                        value: {
+                            contacts: [
+                                { wa_id: "911111111111", profile: { name: "First" } },
+                                { wa_id: "912222222222", profile: { name: "Second" } }
+                            ],
+                            calls: [
+                                { id: "wacid.1", from: "911111111111", event: "connect", session: { sdp: "v=0 one", sdp_type: "offer" } },
+                                { id: "wacid.2", from: "912222222222", event: "connect", session: { sdp: "v=0 two", sdp_type: "offer" } }
+                            ]
+                        }
+                    },
+                    { value: { calls: [{ id: "wacid.1", event: "terminate", status: "COMPLETED", duration: 42, timestamp: 1749196999 }] } }
+                ]
+            },
+            {
+                changes: [
+                    { value: { calls: [{ id: "wacid.3", from: "913333333333", event: "connect", session: { sdp: "v=0 three" } }] } }
+                ]
+            }
+        ]
+    };
+
+    const events = normalizeWebhook(body);
+
+    assert.deepStrictEqual(events.map((event) => [event.callId, event.event]), [
+        ["wacid.1", "connect"],
+        ["wacid.2", "connect"],
+        ["wacid.1", "terminate"],
+        ["wacid.3", "connect"]
+    ]);
+
+    // Caller names are matched to each call's number, not just the first contact
+    assert.deepStrictEqual(events.map((event) => event.callerName), ["First", "Second", "Unknown", "Unknown"]);
+    assert.strictEqual(events[2].status, "COMPLETED");
+    assert.strictEqual(events[2].duration, 42);
+    assert.strictEqual(events[2].timestamp, 1749196999);
+    assert.strictEqual(events[3].sdpType, null);
+});
+
+test("a lone contact names the call even without a wa_id match", () => {
+    const [event] = normalizeWebhook({
+        entry: [{ changes: [{ value: { contacts: [{ profile: { name: "Only Contact" } }], calls: [{ id: "wacid.1", from: "919999999999" }] } }] }]
+    });
+    assert.strictEqual(event.callerName, "Only Contact");
+});
+
+test("calls, statuses and messages in one change are all normalized", () => {
+    const body = {
+        entry: [{
+            changes: [{
+                value: {
+                    calls: [{ id: "wacid.1", event: "terminate", status: "FAILED" }],
+                    statuses: [{ id: "wamid.status", status: "delivered", recipient_id: "919876543210", timestamp: "1749196900" }],
+                    messages: [{ id: "wamid.message", from: "919876543210", type: "text", timestamp: "1749196901", text: { body: "hi" } }]
+                }
+            }]
+        }]
+    };
+
+    assert.deepStrictEqual(withoutRaw(normalizeWebhook(body)), [
+        {
+            type: "call", callId: "wacid.1", event: "terminate", status: "FAILED", direction: null, from: null, to: null,
+            callerName: "Unknown", timestamp: null, duration: null, sdp: null, sdpType: null
+        },
+        { type: "status", id: "wamid.status", status: "delivered", recipientId: "919876543210", timestamp: "1749196900" },
+        { type: "message", id: "wamid.message", from: "919876543210", messageType: "text", timestamp: "1749196901" }
+    ]);
+});
+
+test("malformed entries, changes and items are skipped without failing the delivery", () => {
+    const body = {
+        entry: [
+            null,
+            "not an entry",
+            { changes: "not a list" },
+            { changes: [null, { value: null }, { value: "text" }, { field: "calls" }] },
+            {
+                changes: [{
+                    value: {
+                        calls: [null, 42, "call", { id: "wacid.ok", event: "connect" }],
+                        statuses: { id: "not-a-list" },
+                        messages: [undefined]
+                    }
+                }]
+            }
+        ]
+    };
+
+    const events = normalizeWebhook(body);
+    assert.deepStrictEqual(events.map((event) => [event.type, event.callId]), [["call", "wacid.ok"]]);
+});
+
+test("bodies without entries produce no events", () => {
+    for (const body of [undefined, null, {}, { entry: [] }, { entry: {} }, { topic: "calls" }]) {
+        assert.deepStrictEqual(normalizeWebhook(body), [], JSON.stringify(body));
+    }
+});
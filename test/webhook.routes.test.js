@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+process.env.TRANSCRIPT_STORE = "memory";
+process.env.MEDIA_CONNECT_TIMEOUT_MS = "50";
+process.env.MAX_CONCURRENT_CALLS = "1";
+process.env.CALL_API_KEY = "test-key";
+
+const { mockModule } = require('./helpers/mock-module');
+const { waitFor, deferred, sleep } = require('./helpers/wait');
+const fakeWrtc = require('./helpers/fake-wrtc');
+
+mockModule("src/utils/wrtc", {
+    isWebRTCAvailable: () => true,
+    getWebRTCLoadError: () => null,
+    requireWebRTC: () => fakeWrtc
+});
+
+// ElevenLabs connect is held open so the terminate arrives mid-setup
+const elevenLabsConnects = [];
+mockModule("src/services/elevenlabs.service", {
+    connectToElevenLabs: (callSession) => {
+        const pending = deferred();
+        elevenLabsConnects.push({ callSession, ...pending });
+        return pending.promise;
+    },
+    reconnectToElevenLabs: async () => false,
+    sendContextualUpdate: () => {}
+});
+
+const aisensyCalls = [];
+const recordAisensy = (operation) => async (callId) => {
+    aisensyCalls.push({ operation, callId });
+    return true;
+};
+// Call initiates are held until the test settles them with a call ID (or null for a failure)
+const initiates = [];
+mockModule("src/services/aisensy.service", {
+    preAcceptCall: recordAisensy("pre-accept"),
+    acceptCall: recordAisensy("accept"),
+    rejectCall: recordAisensy("reject"),
+    terminateCall: recordAisensy("terminate"),
+    initiateCall: (phoneNumber) => {
+        aisensyCalls.push({ operation: "initiate", phoneNumber });
+        const pending = deferred();
+        initiates.push(pending);
+        return pending.promise;
+    }
+});
+
+const app = require('../src/app');
+const session = require('../src/state/session');
+const { getLifecycle } = require('../src/state/lifecycle');
+
+/**
+ * Fake ElevenLabs socket - records whether it was closed
+ */
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = 1;
+        this.closed = false;
+    }
+
+    close() {
+        this.closed = true;
+        this.readyState = 3;
+        this.emit("close", 1000);
+    }
+
+    send() {}
+}
+
+const callWebhook = (callId, call) => ({
+    object: "whatsapp_business_account",
+    topic: "calls",
+    entry: [{
+        changes: [{
+            value: {
+                contacts: [{ wa_id: "919876543210", profile: { name: "Test Caller" } }],
+                calls: [{ id: callId, from: "919876543210", to: "15550000000", ...call }]
+            }
+        }]
+    }]
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+const postWebhook = (body) => fetch(`${baseUrl}/aisensy-webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body)
+});
+
+test("a terminate during call setup ends the call without accepting it", async () => {
+    const callId = "wacid.connect-then-terminate";
+
+    const connect = await postWebhook(callWebhook(callId, { event: "connect", timestamp: "1700000000", session: { sdp_type: "offer", sdp: "v=0" } }));
+    assert.strictEqual(connect.status, 200);
+
+    // Setup is now waiting on ElevenLabs
+    await waitFor(() => elevenLabsConnects.some((pending) => pending.callSession.callId === callId), { message: "ElevenLabs connect" });
+    const pending = elevenLabsConnects.find((entry) => entry.callSession.callId === callId);
+    const callSession = pending.callSession;
+
+    const terminate = await postWebhook(callWebhook(callId, { event: "terminate", timestamp: "1700000005", status: "COMPLETED", duration: 3 }));
+    assert.strictEqual(terminate.status, 200);
+
+    // Handled while setup is still in flight, not queued behind it
+    await waitFor(() => !session.getSession(callId), { message: "terminate to be handled" });
+    assert.strictEqual(callSession.state, "ended");
+
+    // ElevenLabs finishes connecting after the call ended
+    const socket = new FakeSocket();
+    callSession.elevenLabsWs = socket;
+    pending.resolve();
+    await sleep(50);
+
+    assert.deepStrictEqual(aisensyCalls.filter((call) => call.callId === callId), []);
+    assert.strictEqual(socket.closed, true, "late ElevenLabs socket is closed");
+    assert.strictEqual(callSession.state, "ended");
+
+    const states = getLifecycle(callId).filter((entry) => entry.event === "state").map((entry) => entry.detail.to);
+    assert.deepStrictEqual(states, ["negotiating", "ending", "ended"]);
+});
+
+test("a connect without a terminate is still set up and accepted", async () => {
+    const callId = "wacid.connect-only";
+
+    await postWebhook(callWebhook(callId, { event: "connect", timestamp: "1700000100", session: { sdp_type: "offer", sdp: "v=0" } }));
+    await waitFor(() => elevenLabsConnects.some((pending) => pending.callSession.callId === callId), { message: "ElevenLabs connect" });
+
+    const pending = elevenLabsConnects.find((entry) => entry.callSession.callId === callId);
+    pending.callSession.elevenLabsWs = new FakeSocket();
+    pending.resolve();
+
+    await waitFor(() => aisensyCalls.some((call) => call.callId === callId && call.operation === "accept"), { message: "accept" });
+    assert.deepStrictEqual(aisensyCalls.filter((call) => call.callId === callId).map((call) => call.operation), ["pre-accept", "accept"]);
+
+    // Let the server hang up cleanly
+    session.getSession(callId).elevenLabsWs = null;
+    require('../src/handlers/call.handler').cleanupConnections(callId, { reason: "test" });
+});
+
+test("at MAX_CONCURRENT_CALLS new calls are turned away", async () => {
+    const activeCallId = "wacid.active";
+    const busyCallId = "wacid.busy";
+
+    await postWebhook(callWebhook(activeCallId, { event: "connect", timestamp: "1700000200", session: { sdp_type: "offer", sdp: "v=0" } }));
+    await waitFor(() => elevenLabsConnects.some((pending) => pending.callSession.callId === activeCallId), { message: "ElevenLabs connect" });
+
+    // An incoming call is rejected through AiSensy without being set up
+    await postWebhook(callWebhook(busyCallId, { event: "connect", timestamp: "1700000201", session: { sdp_type: "offer", sdp: "v=0" } }));
+    await waitFor(() => aisensyCalls.some((call) => call.callId === busyCallId), { message: "reject" });
+    await waitFor(() => !session.getSession(busyCallId), { message: "busy call cleanup" });
+
+    assert.deepStrictEqual(aisensyCalls.filter((call) => call.callId === busyCallId).map((call) => call.operation), ["reject"]);
+    assert.ok(!elevenLabsConnects.some((pending) => pending.callSession.callId === busyCallId));
+    const ended = getLifecycle(busyCallId).find((entry) => entry.event === "state" && entry.detail.to === "ended");
+    assert.strictEqual(ended.detail.detail.reason, "busy");
+
+    // An outbound call isn't started
+    const outbound = await fetch(`${baseUrl}/calls`, {
+        method: "POST",
+        headers: { "content-type": "application/json", authorization: "Bearer test-key" },
+        body: JSON.stringify({ phoneNumber: "919876543210" })
+    });
+    assert.strictEqual(outbound.status, 503);
+    assert.strictEqual((await outbound.json()).error, "Call limit reached");
+    assert.ok(!aisensyCalls.some((call) => call.operation === "initiate"));
+
+    const pending = elevenLabsConnects.find((entry) => entry.callSession.callId === activeCallId);
+    require('../src/handlers/call.handler').cleanupConnections(activeCallId, { reason: "test" });
+    pending.resolve();
+});
+
+test("concurrent outbound requests can't pass MAX_CONCURRENT_CALLS together", async () => {
+    const startCall = () => fetch(`${baseUrl}/calls`, {
+        method: "POST",
+        headers: { "content-type": "application/json", authorization: "Bearer test-key" },
+        body: JSON.stringify({ phoneNumber: "919876543210" })
+    });
+
+    const responses = [startCall(), startCall(), startCall()];
+    await waitFor(() => initiates.length === 1, { message: "call initiate" });
+
+    // Only one request got a slot; the rest were turned away while it was starting
+    const [first, ...rest] = responses;
+    const rejected = await Promise.all(rest);
+    assert.deepStrictEqual(rejected.map((response) => response.status), [503, 503]);
+    assert.strictEqual(initiates.length, 1);
+
+    // A failed start gives its slot back
+    initiates.shift().resolve(null);
+    assert.strictEqual((await first).status, 502);
+
+    const retry = startCall();
+    await waitFor(() => initiates.length === 1, { message: "second call initiate" });
+    initiates.shift().resolve("wacid.outbound");
+    const started = await retry;
+    assert.strictEqual(started.status, 201);
+    assert.strictEqual((await started.json()).callId, "wacid.outbound");
+
+    require('../src/handlers/call.handler').cleanupConnections("wacid.outbound", { reason: "test" });
+});
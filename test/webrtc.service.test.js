@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WHATSAPP_TRACK_TIMEOUT_MS = "100";
+process.env.ICE_PORT_MIN = "40000";
+process.env.ICE_PORT_MAX = "40100";
+
+const { mockModule } = require('./helpers/mock-module');
+const fakeWrtc = require('./helpers/fake-wrtc');
+mockModule("src/utils/wrtc", {
+    isWebRTCAvailable: () => true,
+    getWebRTCLoadError: () => null,
+    requireWebRTC: () => fakeWrtc
+});
+
+const { setupWhatsAppWebRTC, applyWhatsAppAnswer } = require('../src/services/webrtc.service');
+const { CallSession } = require('../src/state/session');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Unhandled rejections would otherwise end the test process
+const unhandled = [];
+process.on("unhandledRejection", (error) => unhandled.push(error));
+
+test("a malformed offer fails setup without leaving the track timeout behind", async () => {
+    const callSession = new CallSession("call-malformed-offer");
+    callSession.whatsappOfferSdp = "v=0 malformed";
+
+    await assert.rejects(setupWhatsAppWebRTC(callSession), /malformed/);
+
+    // Wait past WHATSAPP_TRACK_TIMEOUT_MS
+    await sleep(250);
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test("a malformed answer fails without leaving the track timeout behind", async () => {
+    const callSession = new CallSession("call-malformed-answer", "outbound");
+    callSession.whatsappPc = new fakeWrtc.RTCPeerConnection({});
+
+    await assert.rejects(applyWhatsAppAnswer(callSession, "v=0 malformed"), /malformed/);
+
+    await sleep(250);
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test("a valid offer resolves once WhatsApp's track arrives", async () => {
+    const callSession = new CallSession("call-valid-offer");
+    callSession.whatsappOfferSdp = "v=0";
+
+    await setupWhatsAppWebRTC(callSession);
+
+    assert.strictEqual(callSession.whatsappPc.localDescription.type, "answer");
+    assert.ok(callSession.audioSenderTrack);
+
+    await sleep(250);
+    assert.deepStrictEqual(unhandled, []);
+});
+
+test("ICE_PORT_MIN/ICE_PORT_MAX reach the peer connection as portRange", async () => {
+    const callSession = new CallSession("call-port-range");
+    callSession.whatsappOfferSdp = "v=0";
+
+    await setupWhatsAppWebRTC(callSession);
+
+    assert.deepStrictEqual(callSession.whatsappPc.configuration.portRange, { min: 40000, max: 40100 });
+});